@@ -0,0 +1,196 @@
+/**
+ * Atomic claim-and-sell: the CodeGame claim and the Jupiter swap of the claimed WATT
+ * in one v0 transaction, so either both land or neither does.
+ */
+
+const {
+  PublicKey,
+  TransactionInstruction,
+  ComputeBudgetProgram,
+  PACKET_DATA_SIZE,
+} = require('@solana/web3.js');
+const { getAssociatedTokenAddress, TOKEN_PROGRAM_ID } = require('@solana/spl-token');
+const config = require('./config');
+const { WATT_MINT, MAX_COMPUTE_UNITS, parseSellAllocation } = require('./config');
+const { log } = require('./logger');
+const { percentOf, formatWatt, getWattBalance } = require('./tokens');
+const {
+  getPriorityFeeMicroLamports,
+  estimateComputeUnits,
+  buildVersionedTransaction,
+  fitsInPacket,
+  simulate,
+  logSimulation,
+} = require('./transactions');
+const { buildClaimInstruction, wattAccountInstructions, simulatedWattBalance } = require('./claim');
+const { getWattPriceUSD } = require('./pricing');
+const { quoteSellLeg } = require('./swap');
+
+// ============================================================================
+// TRANSACTION BUILDING
+// ============================================================================
+
+// Jupiter's instruction JSON → TransactionInstruction
+function toInstruction({ programId, accounts, data }) {
+  return new TransactionInstruction({
+    programId: new PublicKey(programId),
+    keys: accounts.map(({ pubkey, isSigner, isWritable }) => ({ pubkey: new PublicKey(pubkey), isSigner, isWritable })),
+    data: Buffer.from(data, 'base64'),
+  });
+}
+
+async function loadLookupTables(connection, addresses) {
+  const tables = [];
+  for (const address of addresses) {
+    const { value } = await connection.getAddressLookupTable(new PublicKey(address));
+    if (!value) {
+      throw new Error(`Address lookup table ${address} not found`);
+    }
+    tables.push(value);
+  }
+  return tables;
+}
+
+// The claim instruction (after the WATT account's creation, if missing) followed by Jupiter's setup,
+// swap and cleanup instructions. Jupiter's compute budget instructions are left out; the budget is
+// set for the whole transaction.
+async function buildAtomicInstructions(connection, jupiter, wallet, userStateAccount, quote) {
+  const claimInstructions = [
+    ...await wattAccountInstructions(connection, wallet.publicKey),
+    await buildClaimInstruction(wallet.publicKey, userStateAccount),
+  ];
+  const swap = await jupiter.swapInstructions({
+    quoteResponse: quote,
+    userPublicKey: wallet.publicKey.toString(),
+    wrapAndUnwrapSol: true,
+  });
+
+  const instructions = [
+    ...claimInstructions,
+    ...(swap.setupInstructions || []).map(toInstruction),
+    toInstruction(swap.swapInstruction),
+    ...(swap.cleanupInstruction ? [toInstruction(swap.cleanupInstruction)] : []),
+  ];
+  return { instructions, lookupTableAddresses: swap.addressLookupTableAddresses || [] };
+}
+
+function withComputeBudget(instructions, computeUnitLimit, computeUnitPrice) {
+  const budget = [ComputeBudgetProgram.setComputeUnitLimit({ units: computeUnitLimit })];
+  if (computeUnitPrice > 0) {
+    budget.push(ComputeBudgetProgram.setComputeUnitPrice({ microLamports: computeUnitPrice }));
+  }
+  return [...budget, ...instructions];
+}
+
+// Same fee policy as the claim: limit from simulation, price from recent fees on every account written
+async function buildAtomicTransaction(connection, wallet, instructions, lookupTables) {
+  const { blockhash, lastValidBlockHeight } = await connection.getLatestBlockhash('confirmed');
+
+  const computeUnitLimit = await estimateComputeUnits(connection, wallet.publicKey, instructions, blockhash, lookupTables);
+  const writableAccounts = [...new Set(instructions.flatMap(instruction => instruction.keys.filter(key => key.isWritable).map(key => key.pubkey.toBase58())))]
+    .map(address => new PublicKey(address));
+  const computeUnitPrice = await getPriorityFeeMicroLamports(connection, writableAccounts, computeUnitLimit);
+
+  const transaction = buildVersionedTransaction(wallet.publicKey, withComputeBudget(instructions, computeUnitLimit, computeUnitPrice), blockhash, lookupTables);
+  return { transaction, lastValidBlockHeight };
+}
+
+// ============================================================================
+// ATOMIC CLAIM AND SELL
+// ============================================================================
+
+// Why this run cannot claim and sell in one transaction, or null if it can.
+// Only an immediate market sell to a single token fits in one transaction.
+function atomicSellBlocker(settings, claimable, reserveDeficit) {
+  if (!settings.autoSellEnabled) {
+    return 'auto-sell is disabled';
+  }
+  if (settings.sellStrategy !== 'fixed') {
+    return `the ${settings.sellStrategy} strategy sizes the sell from the wallet balance after the claim`;
+  }
+  if (claimable === null) {
+    return 'the claimable amount could not be read';
+  }
+  if (reserveDeficit > 0) {
+    return 'the SOL reserve needs a top-up first';
+  }
+  if (config.TWAP_CHUNKS > 1) {
+    return 'TWAP sells are spread over several transactions';
+  }
+  if (parseSellAllocation(settings.sellToken).length > 1) {
+    return 'a split sell needs one swap per output token';
+  }
+  return null;
+}
+
+// Quotes the sell, builds the combined transaction and simulates it. Returns { reason } when
+// the two-step flow must be used instead, otherwise everything needed to send it.
+async function prepareAtomicClaimAndSell(connection, jupiter, wallet, userStateAccount, settings, claimable, reserveDeficit) {
+  const blocker = atomicSellBlocker(settings, claimable, reserveDeficit);
+  if (blocker) {
+    return { reason: blocker };
+  }
+
+  log('========================================', 'INFO');
+  log('ATOMIC: Claim and sell in one transaction', 'INFO');
+  log('========================================', 'INFO');
+
+  // Sized from the claimable amount read before building. Rewards only grow until the claim
+  // lands; if the estimate is ever above what the program pays, the swap fails and takes the claim with it.
+  const amountToSell = percentOf(claimable, settings.sellPercentage);
+  if (amountToSell === 0n) {
+    return { reason: 'nothing to sell' };
+  }
+  log(`Claimable: ${formatWatt(claimable)} WATT, selling ${formatWatt(amountToSell)} WATT (${settings.sellPercentage}%)`, 'INFO');
+
+  const priceUsd = await getWattPriceUSD(jupiter, settings.minSellPriceUsd);
+  if (priceUsd === null) {
+    return { reason: 'the WATT price is unavailable' };
+  }
+  if (settings.targetSellPriceUsd > 0 && priceUsd < settings.targetSellPriceUsd) {
+    return { reason: `price $${priceUsd.toFixed(6)} is below the $${settings.targetSellPriceUsd.toFixed(6)} target` };
+  }
+  if (settings.minSellPriceUsd > 0 && priceUsd > 0 && priceUsd < settings.minSellPriceUsd) {
+    return { reason: `price $${priceUsd.toFixed(6)} is below the $${settings.minSellPriceUsd.toFixed(6)} minimum` };
+  }
+
+  const [{ token }] = parseSellAllocation(settings.sellToken);
+  const leg = await quoteSellLeg(connection, jupiter, amountToSell, token, settings.slippageBps, priceUsd);
+  if (leg.rejection) {
+    return { reason: `quote rejected: ${leg.rejection}` };
+  }
+
+  const { instructions, lookupTableAddresses } = await buildAtomicInstructions(connection, jupiter, wallet, userStateAccount, leg.quote);
+  const lookupTables = await loadLookupTables(connection, lookupTableAddresses);
+
+  // Compute budget instructions have a fixed size, so placeholder values give the final size
+  const sizeCheck = buildVersionedTransaction(wallet.publicKey, withComputeBudget(instructions, MAX_COMPUTE_UNITS, 1), PublicKey.default.toBase58(), lookupTables);
+  if (!fitsInPacket(sizeCheck)) {
+    return { reason: `the combined transaction is larger than ${PACKET_DATA_SIZE} bytes` };
+  }
+
+  // Simulated in live mode too: a transaction that would fail falls back to two steps before anything is sent
+  const wattAccount = await getAssociatedTokenAddress(WATT_MINT, wallet.publicKey, false, TOKEN_PROGRAM_ID);
+  const balanceBefore = await getWattBalance(connection, wallet.publicKey);
+  const { transaction } = await buildAtomicTransaction(connection, wallet, instructions, lookupTables);
+  const value = await simulate(connection, transaction, [wattAccount]);
+  logSimulation('Claim and swap', value);
+  if (value.err) {
+    return { reason: `simulation failed: ${JSON.stringify(value.err)}` };
+  }
+
+  // The WATT account only shows the claim minus the swap input
+  const balanceAfter = simulatedWattBalance(value);
+  const simulatedClaim = balanceAfter !== null ? balanceAfter - balanceBefore + amountToSell : claimable;
+
+  return { leg, priceUsd, instructions, lookupTables, simulatedClaim };
+}
+
+module.exports = {
+  toInstruction,
+  loadLookupTables,
+  buildAtomicInstructions,
+  buildAtomicTransaction,
+  atomicSellBlocker,
+  prepareAtomicClaimAndSell,
+};
@@ -0,0 +1,177 @@
+/**
+ * The backtest command: replays a recorded WATT price series against a sell strategy.
+ */
+
+const fs = require('fs');
+const config = require('./config');
+const { WATT_DECIMALS, PRICE_HISTORY_FILE } = require('./config');
+const { log } = require('./logger');
+const { getFlag, parseDateFlag } = require('./cli');
+const { parseAmount, formatAmount, toUiAmount } = require('./tokens');
+const { loadPriceHistory } = require('./pricing');
+const { strategyOptions, decideSell } = require('./strategy');
+
+// ============================================================================
+// BACKTEST
+// ============================================================================
+
+// Simulated runs: at every sample in [from, to] that is at least intervalMinutes after the last
+// run, claimPerRun WATT arrives and the strategy decides; a sell fills at the sample price.
+// The bot records one sample per run, so its own history replays with intervalMinutes 0.
+// Samples before `from` still count as history. Slippage, fees, swap guards, limit orders and
+// TWAP are not modelled, so the results are an upper bound for the real proceeds.
+function runBacktest(samples, { strategy, sellPercentage, minSellPriceUsd, options, claimPerRun, startingBalance = 0n, intervalMinutes = 0, from = null, to = null }) {
+  let state = {};
+  let held = startingBalance;
+  let claimed = 0n;
+  let sold = 0n;
+  let proceedsUsd = 0;
+  let sellAllUsd = 0;
+  let runs = 0;
+  let lastRunAt = null;
+  let lastPriceUsd = null;
+  const trades = [];
+
+  for (let index = 0; index < samples.length; index++) {
+    const { timestamp, priceUsd } = samples[index];
+    const time = Date.parse(timestamp);
+    if ((from !== null && time < from) || (to !== null && time > to)) {
+      continue;
+    }
+    if (lastRunAt !== null && time - lastRunAt < intervalMinutes * 60_000) {
+      continue;
+    }
+    lastRunAt = time;
+    lastPriceUsd = priceUsd;
+    runs++;
+
+    held += claimPerRun;
+    claimed += claimPerRun;
+    sellAllUsd += toUiAmount(claimPerRun, WATT_DECIMALS) * priceUsd;
+
+    // Like a live run, a sell stopped by the price floor leaves the strategy state unchanged
+    const next = { ...state };
+    const decision = decideSell(strategy, {
+      priceUsd,
+      timestamp,
+      history: samples.slice(0, index + 1),
+      claimed: claimPerRun,
+      held,
+      sellPercentage,
+      state: next,
+      options,
+    });
+    if (decision.amount > 0n && minSellPriceUsd > 0 && priceUsd < minSellPriceUsd) {
+      continue;
+    }
+    state = next;
+
+    if (decision.amount > 0n) {
+      const valueUsd = toUiAmount(decision.amount, WATT_DECIMALS) * priceUsd;
+      held -= decision.amount;
+      sold += decision.amount;
+      proceedsUsd += valueUsd;
+      trades.push({ timestamp, priceUsd, amount: formatAmount(decision.amount, WATT_DECIMALS), valueUsd, reason: decision.reason });
+    }
+  }
+
+  const heldValueUsd = lastPriceUsd === null ? 0 : toUiAmount(held, WATT_DECIMALS) * lastPriceUsd;
+  return {
+    strategy,
+    runs,
+    claimed: formatAmount(claimed, WATT_DECIMALS),
+    sold: formatAmount(sold, WATT_DECIMALS),
+    held: formatAmount(held, WATT_DECIMALS),
+    proceedsUsd,
+    averageSellPriceUsd: sold > 0n ? proceedsUsd / toUiAmount(sold, WATT_DECIMALS) : null,
+    lastPriceUsd,
+    heldValueUsd,
+    totalValueUsd: proceedsUsd + heldValueUsd,
+    sellAllUsd,
+    trades,
+  };
+}
+
+function parseAmountFlag(name, fallback) {
+  const value = getFlag(name) || fallback;
+  try {
+    return parseAmount(value, WATT_DECIMALS);
+  } catch (error) {
+    throw new Error(`Invalid --${name}: ${value}. Expected a WATT amount, e.g. 10`);
+  }
+}
+
+function logBacktest(result, samples) {
+  const usd = value => `$${value.toFixed(2)}`;
+
+  log('========================================', 'INFO');
+  log(`Backtest: ${result.strategy}`, 'INFO');
+  log('========================================', 'INFO');
+  log(`Price samples:       ${samples.length} (${samples[0].timestamp} to ${samples[samples.length - 1].timestamp})`, 'INFO');
+  log(`Runs:                ${result.runs}`, 'INFO');
+  for (const trade of result.trades) {
+    log(`  ${trade.timestamp}  sold ${trade.amount} WATT at $${trade.priceUsd.toFixed(6)} = ${usd(trade.valueUsd)} (${trade.reason})`, 'INFO');
+  }
+  log(`Claimed:             ${result.claimed} WATT`, 'INFO');
+  log(`Sold:                ${result.sold} WATT in ${result.trades.length} sell(s) for ${usd(result.proceedsUsd)}`, 'INFO');
+  if (result.averageSellPriceUsd !== null) {
+    log(`Average sell price:  $${result.averageSellPriceUsd.toFixed(6)}`, 'INFO');
+  }
+  log(`Still held:          ${result.held} WATT, ${usd(result.heldValueUsd)} at the last price`, 'INFO');
+  log(`Total value:         ${usd(result.totalValueUsd)}`, 'INFO');
+  log(`Selling every claim: ${usd(result.sellAllUsd)}`, 'INFO');
+}
+
+async function backtest() {
+  const input = getFlag('input') || PRICE_HISTORY_FILE;
+  const from = parseDateFlag('from', false);
+  const to = parseDateFlag('to', true);
+  const format = getFlag('format') || 'text';
+  const output = getFlag('output');
+  const intervalMinutes = Number(getFlag('interval-minutes') || 0);
+
+  if (!['text', 'json'].includes(format)) {
+    throw new Error(`Invalid --format: ${format}. Must be text or json`);
+  }
+  if (output && format !== 'json') {
+    throw new Error('--output needs --format json; the text report is written to the log');
+  }
+  if (!(intervalMinutes >= 0)) {
+    throw new Error(`Invalid --interval-minutes: ${getFlag('interval-minutes')}. Must be 0 or more`);
+  }
+
+  const samples = loadPriceHistory(input);
+  if (samples.length === 0) {
+    throw new Error(`No price samples in ${input}. Every run records them; or pass --input with a file of { timestamp, priceUsd } lines`);
+  }
+
+  // The strategy and its parameters come from the configuration, so flags such as
+  // --sell-strategy ladder --ladder-levels 0.05:50,0.1:50 try out other settings
+  const settings = config.DEFAULT_SELL_SETTINGS;
+  const result = runBacktest(samples, {
+    strategy: settings.sellStrategy,
+    sellPercentage: settings.sellPercentage,
+    minSellPriceUsd: settings.minSellPriceUsd,
+    options: strategyOptions(),
+    claimPerRun: parseAmountFlag('claim-per-run', '1'),
+    startingBalance: parseAmountFlag('starting-balance', '0'),
+    intervalMinutes,
+    from,
+    to,
+  });
+
+  if (format === 'text') {
+    logBacktest(result, samples);
+    return;
+  }
+
+  const content = JSON.stringify(result, null, 2) + '\n';
+  if (output) {
+    fs.writeFileSync(output, content);
+    log(`Wrote backtest of ${result.runs} run(s) to ${output}`, 'INFO');
+  } else {
+    process.stdout.write(content);
+  }
+}
+
+module.exports = { runBacktest, backtest };
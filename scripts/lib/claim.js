@@ -0,0 +1,362 @@
+/**
+ * User state discovery, on-chain state decoding and the claim transaction.
+ */
+
+const {
+  PublicKey,
+  Transaction,
+  TransactionInstruction,
+  ComputeBudgetProgram,
+} = require('@solana/web3.js');
+const {
+  getAssociatedTokenAddress,
+  createAssociatedTokenAccountIdempotentInstruction,
+  TOKEN_PROGRAM_ID,
+} = require('@solana/spl-token');
+const {
+  PROGRAM_ID,
+  WATT_MINT,
+  GLOBAL_CONFIG_PDA,
+  VAULT_ACCOUNT,
+  CLAIM_INSTRUCTION_DISCRIMINATOR,
+  USER_STATE_LAYOUT,
+  GLOBAL_CONFIG_LAYOUT,
+  STATE_ACCOUNT_CACHE_FILE,
+} = require('./config');
+const { log } = require('./logger');
+const { readStateFile, writeStateFile } = require('./state');
+const { formatWatt } = require('./tokens');
+const {
+  getPriorityFeeMicroLamports,
+  estimateComputeUnits,
+  readTokenAccountAmount,
+  simulate,
+  logSimulation,
+} = require('./transactions');
+
+// ============================================================================
+// USER STATE ACCOUNT DISCOVERY
+// ============================================================================
+
+// A CodeGame account whose owner field is the wallet
+function isUserStateAccount(info, wallet) {
+  return Boolean(info) && info.owner.equals(PROGRAM_ID) && info.data.length >= 40 &&
+    new PublicKey(info.data.subarray(8, 40)).equals(wallet);
+}
+
+// Every state account of the wallet, by address. There is normally one, but nothing stops a second.
+async function findUserStateAccounts(connection, wallet, useCache = true) {
+  // The scan is expensive and often refused by public RPCs, so reuse the last result if it still checks out.
+  // Entries written by older versions hold one address and may hide a duplicate, so they are scanned again.
+  const cache = readStateFile(STATE_ACCOUNT_CACHE_FILE, {});
+  const cached = cache[wallet.toBase58()];
+  if (useCache && Array.isArray(cached) && cached.length > 0) {
+    const pubkeys = cached.map(address => new PublicKey(address));
+    const infos = await connection.getMultipleAccountsInfo(pubkeys);
+
+    if (infos.every(info => isUserStateAccount(info, wallet))) {
+      log('Using cached user state account', 'INFO');
+      return pubkeys;
+    }
+    log('Cached user state account is no longer valid, searching again...', 'WARN');
+  }
+
+  // CodeGame doesn't use standard PDA derivation
+  // We need to find the user's state account by querying program accounts
+  log('Searching for user state account...', 'INFO');
+
+  const accounts = await connection.getProgramAccounts(PROGRAM_ID, {
+    filters: [
+      {
+        memcmp: {
+          offset: 8, // Skip 8-byte discriminator
+          bytes: wallet.toBase58(),
+        },
+      },
+    ],
+  });
+
+  if (accounts.length === 0) {
+    throw new Error('User state account not found. Have you initialized your account on CodeGame?');
+  }
+
+  const pubkeys = accounts.map(account => account.pubkey).sort((a, b) => a.toBase58().localeCompare(b.toBase58()));
+  cache[wallet.toBase58()] = pubkeys.map(pubkey => pubkey.toBase58());
+  writeStateFile(STATE_ACCOUNT_CACHE_FILE, cache);
+
+  return pubkeys;
+}
+
+// The state accounts a run claims from. choice is USER_STATE_ACCOUNT or a wallet's stateAccount:
+// empty for the wallet's only account, "all" for every one, or the address of one.
+async function selectUserStateAccounts(connection, wallet, choice) {
+  if (choice && choice !== 'all') {
+    const pubkey = new PublicKey(choice);
+    if (!isUserStateAccount(await connection.getAccountInfo(pubkey), wallet)) {
+      throw new Error(`${choice} is not a CodeGame state account of wallet ${wallet.toBase58()}`);
+    }
+    return [pubkey];
+  }
+
+  const accounts = await findUserStateAccounts(connection, wallet);
+  if (accounts.length > 1 && choice !== 'all') {
+    throw new Error(`Found ${accounts.length} state accounts for wallet ${wallet.toBase58()} (${accounts.map(account => account.toBase58()).join(', ')}). ` +
+      'Set USER_STATE_ACCOUNT (or stateAccount in WALLETS_FILE) to the one to claim, or to "all"; the doctor command lists their rewards');
+  }
+  return accounts;
+}
+
+// ============================================================================
+// ON-CHAIN STATE DECODING
+// ============================================================================
+
+// Tolerance for a last claim time slightly ahead of this machine's clock
+const MAX_CLOCK_SKEW_SECONDS = 300;
+
+function decodeUserState(data) {
+  if (data.length < USER_STATE_LAYOUT.size) {
+    throw new Error(`User state account too small: ${data.length} bytes, expected at least ${USER_STATE_LAYOUT.size}`);
+  }
+
+  return {
+    owner: new PublicKey(data.subarray(USER_STATE_LAYOUT.owner, USER_STATE_LAYOUT.owner + 32)),
+    hashPower: data.readBigUInt64LE(USER_STATE_LAYOUT.hashPower),
+    lastClaimTime: Number(data.readBigInt64LE(USER_STATE_LAYOUT.lastClaimTime)),
+    accruedRewards: data.readBigUInt64LE(USER_STATE_LAYOUT.accruedRewards),
+  };
+}
+
+function decodeGlobalConfig(data) {
+  if (data.length < GLOBAL_CONFIG_LAYOUT.size) {
+    throw new Error(`Global config account too small: ${data.length} bytes, expected at least ${GLOBAL_CONFIG_LAYOUT.size}`);
+  }
+
+  return {
+    authority: new PublicKey(data.subarray(GLOBAL_CONFIG_LAYOUT.authority, GLOBAL_CONFIG_LAYOUT.authority + 32)),
+    wattMint: new PublicKey(data.subarray(GLOBAL_CONFIG_LAYOUT.wattMint, GLOBAL_CONFIG_LAYOUT.wattMint + 32)),
+    rewardRatePerSecond: data.readBigUInt64LE(GLOBAL_CONFIG_LAYOUT.rewardRatePerSecond),
+    totalHashPower: data.readBigUInt64LE(GLOBAL_CONFIG_LAYOUT.totalHashPower),
+  };
+}
+
+// Rewards stored on the account plus this user's share of emissions since the last claim, in raw WATT units
+function computeClaimableRewards(userState, globalConfig, nowSeconds) {
+  const elapsed = BigInt(Math.max(0, nowSeconds - userState.lastClaimTime));
+  let pending = 0n;
+
+  if (globalConfig.totalHashPower > 0n) {
+    pending = (globalConfig.rewardRatePerSecond * elapsed * userState.hashPower) / globalConfig.totalHashPower;
+  }
+
+  return userState.accruedRewards + pending;
+}
+
+// SPL mint layout: [36 mint authority option][8 supply]...
+function readMintSupply(data) {
+  return data.readBigUInt64LE(36);
+}
+
+// The layouts are not from a published IDL, so a decode that reads the wrong bytes must not
+// pass for real numbers: values that cannot be right throw, and the caller skips the claim
+// unless CLAIM_WITHOUT_REWARDS_CHECK is set.
+function checkDecodedState(userState, globalConfig, walletPubkey, supply, claimable, nowSeconds) {
+  const problems = [];
+
+  if (!userState.owner.equals(walletPubkey)) {
+    problems.push(`owner ${userState.owner.toBase58()} is not wallet ${walletPubkey.toBase58()}`);
+  }
+  if (!globalConfig.wattMint.equals(WATT_MINT)) {
+    problems.push(`global config mint ${globalConfig.wattMint.toBase58()} is not ${WATT_MINT.toBase58()}`);
+  }
+  if (userState.lastClaimTime <= 0 || userState.lastClaimTime > nowSeconds + MAX_CLOCK_SKEW_SECONDS) {
+    problems.push(`last claim time ${userState.lastClaimTime} is not in the past`);
+  }
+  // A day of emissions larger than the whole WATT supply means the rate was read from the wrong bytes
+  if (globalConfig.rewardRatePerSecond * 86_400n > supply) {
+    problems.push(`reward rate ${globalConfig.rewardRatePerSecond}/s exceeds the WATT supply per day`);
+  }
+  if (userState.hashPower > globalConfig.totalHashPower) {
+    problems.push(`hash power ${userState.hashPower} exceeds the total ${globalConfig.totalHashPower}`);
+  }
+  if (claimable > supply) {
+    problems.push(`claimable ${formatWatt(claimable)} WATT exceeds the WATT supply`);
+  }
+
+  if (problems.length > 0) {
+    throw new Error(`Decoded state looks wrong (layout changed?): ${problems.join('; ')}`);
+  }
+}
+
+async function readClaimableRewards(connection, walletPubkey, userStateAccount) {
+  const [userInfo, configInfo, mintInfo] = await connection.getMultipleAccountsInfo([userStateAccount, GLOBAL_CONFIG_PDA, WATT_MINT]);
+
+  if (!userInfo) {
+    throw new Error(`User state account ${userStateAccount.toBase58()} not found`);
+  }
+  if (!configInfo) {
+    throw new Error(`Global config ${GLOBAL_CONFIG_PDA.toBase58()} not found`);
+  }
+  if (!mintInfo) {
+    throw new Error(`WATT mint ${WATT_MINT.toBase58()} not found`);
+  }
+
+  const userState = decodeUserState(userInfo.data);
+  const globalConfig = decodeGlobalConfig(configInfo.data);
+  const nowSeconds = Math.floor(Date.now() / 1000);
+  const claimable = computeClaimableRewards(userState, globalConfig, nowSeconds);
+
+  checkDecodedState(userState, globalConfig, walletPubkey, readMintSupply(mintInfo.data), claimable, nowSeconds);
+  return { userState, globalConfig, claimable };
+}
+
+// ============================================================================
+// CLAIM LOGIC
+// ============================================================================
+
+async function buildClaimInstruction(walletPubkey, userStateAccount) {
+  const userWattAccount = await getAssociatedTokenAddress(
+    WATT_MINT,
+    walletPubkey,
+    false,
+    TOKEN_PROGRAM_ID
+  );
+
+  // Account structure based on transaction analysis
+  // Order from actual claim transaction:
+  // 0: User wallet (signer)
+  // 1: User state account
+  // 2: Global config
+  // 3: Vault account
+  // 4: User WATT token account
+  // 5: WATT mint
+  // 6: Token program
+  const keys = [
+    { pubkey: walletPubkey, isSigner: true, isWritable: true },              // User wallet
+    { pubkey: userStateAccount, isSigner: false, isWritable: true },         // User state account
+    { pubkey: GLOBAL_CONFIG_PDA, isSigner: false, isWritable: true },        // Global config
+    { pubkey: VAULT_ACCOUNT, isSigner: false, isWritable: true },            // Vault (token source)
+    { pubkey: userWattAccount, isSigner: false, isWritable: true },          // User WATT account (destination)
+    { pubkey: WATT_MINT, isSigner: false, isWritable: false },               // WATT mint
+    { pubkey: TOKEN_PROGRAM_ID, isSigner: false, isWritable: false },        // Token program
+  ];
+
+  return new TransactionInstruction({
+    programId: PROGRAM_ID,
+    keys,
+    data: CLAIM_INSTRUCTION_DISCRIMINATOR
+  });
+}
+
+// Creates the wallet's WATT account ahead of the claim when it does not exist yet. The
+// instruction is idempotent, so it still succeeds if the account appears in the meantime.
+async function wattAccountInstructions(connection, walletPubkey) {
+  const wattAccount = await getAssociatedTokenAddress(WATT_MINT, walletPubkey, false, TOKEN_PROGRAM_ID);
+  if (await connection.getAccountInfo(wattAccount)) {
+    return [];
+  }
+
+  log(`WATT token account ${wattAccount.toBase58()} does not exist yet, creating it with the claim`, 'INFO');
+  return [createAssociatedTokenAccountIdempotentInstruction(walletPubkey, wattAccount, walletPubkey, WATT_MINT, TOKEN_PROGRAM_ID)];
+}
+
+async function buildClaimTransaction(connection, wallet, userStateAccount) {
+  const instruction = await buildClaimInstruction(wallet.publicKey, userStateAccount);
+  const instructions = [...await wattAccountInstructions(connection, wallet.publicKey), instruction];
+
+  const { blockhash, lastValidBlockHeight } = await connection.getLatestBlockhash('confirmed');
+
+  // Compute limit from simulation, price from recent fees on the accounts the claim writes to
+  const computeUnitLimit = await estimateComputeUnits(connection, wallet.publicKey, instructions, blockhash);
+  const writableAccounts = instruction.keys.filter(key => key.isWritable).map(key => key.pubkey);
+  const computeUnitPrice = await getPriorityFeeMicroLamports(connection, writableAccounts, computeUnitLimit);
+
+  const transaction = new Transaction().add(ComputeBudgetProgram.setComputeUnitLimit({ units: computeUnitLimit }));
+  if (computeUnitPrice > 0) {
+    transaction.add(ComputeBudgetProgram.setComputeUnitPrice({ microLamports: computeUnitPrice }));
+  }
+  transaction.add(...instructions);
+  transaction.recentBlockhash = blockhash;
+  transaction.lastValidBlockHeight = lastValidBlockHeight;
+  transaction.feePayer = wallet.publicKey;
+
+  return transaction;
+}
+
+// Exact WATT received by the wallet's ATA in the claim transaction, from the pre/post token
+// balances in its meta. Returns the raw amount, or null if the transaction or ATA is not found.
+async function getActualClaimedAmount(connection, signature, walletPubkey) {
+  try {
+    const tx = await connection.getTransaction(signature, {
+      maxSupportedTransactionVersion: 0
+    });
+
+    if (!tx || !tx.meta || !tx.meta.postTokenBalances) {
+      return null;
+    }
+
+    const wattAccount = await getAssociatedTokenAddress(WATT_MINT, walletPubkey, false, TOKEN_PROGRAM_ID);
+    const accountKeys = tx.transaction.message.getAccountKeys({ accountKeysFromLookups: tx.meta.loadedAddresses });
+    const accountIndex = accountKeys.keySegments().flat().findIndex(key => key.equals(wattAccount));
+    if (accountIndex === -1) {
+      return null;
+    }
+
+    const post = tx.meta.postTokenBalances.find(balance => balance.accountIndex === accountIndex);
+    if (!post || post.mint !== WATT_MINT.toBase58()) {
+      return null;
+    }
+
+    // The ATA has no pre balance when the claim created it
+    const pre = (tx.meta.preTokenBalances || []).find(balance => balance.accountIndex === accountIndex);
+    return BigInt(post.uiTokenAmount.amount) - BigInt(pre ? pre.uiTokenAmount.amount : '0');
+  } catch (error) {
+    log(`Warning: Could not fetch actual claimed amount: ${error.message}`, 'WARN');
+    return null;
+  }
+}
+
+// ============================================================================
+// SIMULATION (DRY RUN)
+// ============================================================================
+
+// Simulated raw WATT balance of the wallet's ATA after the transaction, or null if it would not exist
+function simulatedWattBalance(value) {
+  const account = value.accounts && value.accounts[0];
+  return account ? readTokenAccountAmount(Buffer.from(account.data[0], 'base64')) : null;
+}
+
+async function simulateClaim(connection, wallet, userStateAccount, balanceBefore) {
+  log('DRY RUN: Building claim transaction for simulation...', 'INFO');
+  const transaction = await buildClaimTransaction(connection, wallet, userStateAccount);
+  const wattAccount = await getAssociatedTokenAddress(WATT_MINT, wallet.publicKey, false, TOKEN_PROGRAM_ID);
+
+  const value = await simulate(connection, transaction, [wattAccount]);
+  logSimulation('Claim', value);
+
+  if (value.err) {
+    throw new Error(`Claim simulation failed: ${JSON.stringify(value.err)}`);
+  }
+
+  const balanceAfter = simulatedWattBalance(value);
+  const delta = balanceAfter !== null ? balanceAfter - balanceBefore : 0n;
+  log(`   Simulated WATT delta: +${formatWatt(delta)} WATT`, 'INFO');
+
+  return delta;
+}
+
+module.exports = {
+  isUserStateAccount,
+  findUserStateAccounts,
+  selectUserStateAccounts,
+  decodeUserState,
+  decodeGlobalConfig,
+  checkDecodedState,
+  computeClaimableRewards,
+  readClaimableRewards,
+  buildClaimInstruction,
+  wattAccountInstructions,
+  buildClaimTransaction,
+  getActualClaimedAmount,
+  simulatedWattBalance,
+  simulateClaim,
+};
@@ -0,0 +1,76 @@
+/**
+ * Command-line flag parsing.
+ */
+
+// ============================================================================
+// COMMAND-LINE FLAGS
+// ============================================================================
+
+function getFlag(name) {
+  const args = process.argv.slice(2);
+  const prefix = `--${name}=`;
+  const inline = args.find(arg => arg.startsWith(prefix));
+  if (inline) {
+    return inline.slice(prefix.length);
+  }
+
+  const index = args.indexOf(`--${name}`);
+  return index !== -1 && index + 1 < args.length ? args[index + 1] : null;
+}
+
+// --name, --name=true|false or --name true|false; null when absent
+function getBooleanFlag(name) {
+  const args = process.argv.slice(2);
+  const inline = args.find(arg => arg.startsWith(`--${name}=`));
+  if (inline) {
+    return inline.slice(name.length + 3);
+  }
+
+  const index = args.indexOf(`--${name}`);
+  if (index === -1) {
+    return null;
+  }
+  return ['true', 'false'].includes(args[index + 1]) ? args[index + 1] : 'true';
+}
+
+// Arguments that are neither flags nor flag values, e.g. ["config", "print"]
+function getPositionalArgs(booleanFlags) {
+  const args = process.argv.slice(2);
+  const positional = [];
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    if (!arg.startsWith('--')) {
+      positional.push(arg);
+    } else if (arg.includes('=')) {
+      continue;
+    } else if (booleanFlags.includes(arg.slice(2))) {
+      if (['true', 'false'].includes(args[i + 1])) {
+        i++;
+      }
+    } else {
+      i++;
+    }
+  }
+  return positional;
+}
+
+function parseDateFlag(name, endOfDay) {
+  const value = getFlag(name);
+  if (!value) {
+    return null;
+  }
+
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    throw new Error(`Invalid --${name} date: ${value}`);
+  }
+
+  // A plain date for --to includes the whole day
+  if (endOfDay && /^\d{4}-\d{2}-\d{2}$/.test(value)) {
+    date.setUTCDate(date.getUTCDate() + 1);
+    return date.getTime() - 1;
+  }
+  return date.getTime();
+}
+
+module.exports = { getFlag, getBooleanFlag, getPositionalArgs, parseDateFlag };
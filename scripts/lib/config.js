@@ -0,0 +1,576 @@
+/**
+ * Configuration: program addresses, account layouts and settings read from
+ * the environment. The command-line entry point adds .env.local, the config
+ * file and flags.
+ */
+
+const { PublicKey } = require('@solana/web3.js');
+const bs58 = require('bs58').default || require('bs58');
+const fs = require('fs');
+const path = require('path');
+const YAML = require('yaml');
+const { CronExpressionParser } = require('cron-parser');
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+const PROGRAM_ID = new PublicKey('CDE3ggMwLy6c8Eu3Ez2mcfrt8W8WmdZXrjR2wzinWbaz');
+const WATT_MINT = new PublicKey('WattxY7ZKjPGcPn4mDK442SA7YQC4xwnjsSHPAJ7WXQ');
+const GLOBAL_CONFIG_PDA = new PublicKey('Bxe5mdxrNB9xFd4Ciyn7VFWM2enSLqHz9qz89eA35Ws1');
+const VAULT_ACCOUNT = new PublicKey('GRckfqRR61ULadHAwwXXAU2DqXNSNBnRumCBUNPLK865');
+
+// Claim instruction discriminator (from transaction analysis)
+// Base58 decoded: mHL85s1kFy = 0x0490844774179750
+const CLAIM_INSTRUCTION_DISCRIMINATOR = bs58.decode('mHL85s1kFy');
+
+// Account layouts (byte offsets). UNVERIFIED: the program publishes no IDL or source, and
+// these offsets were inferred from account data, not checked against a captured account.
+// readClaimableRewards checks the decoded values (owner, WATT mint, last claim time, reward
+// rate against the supply); when they look wrong the runner skips the claim, unless
+// CLAIM_WITHOUT_REWARDS_CHECK opts in to claiming without the minimum check.
+// User state:    [8 discriminator][32 owner][8 hash power][8 last claim ts][8 accrued rewards]
+// Global config: [8 discriminator][32 authority][32 WATT mint][8 reward rate/sec][8 total hash power]
+const USER_STATE_LAYOUT = { owner: 8, hashPower: 40, lastClaimTime: 48, accruedRewards: 56, size: 64 };
+const GLOBAL_CONFIG_LAYOUT = { authority: 8, wattMint: 40, rewardRatePerSecond: 72, totalHashPower: 80, size: 88 };
+const WATT_DECIMALS = 6;
+
+// Owners and sizes the claim relies on; a run refuses to claim when they change (e.g. a program upgrade)
+const BPF_UPGRADEABLE_LOADER_ID = new PublicKey('BPFLoaderUpgradeab1e11111111111111111111111');
+const PROGRAM_ACCOUNT_SIZE = 36; // Upgradeable program account: [4 tag][32 program data address]
+const PROGRAM_DATA_SLOT_OFFSET = 4; // Program data: [4 tag][8 slot of the last deploy]...
+const TOKEN_ACCOUNT_SIZE = 165; // SPL token account (the vault)
+
+// Settings read from the environment, then a config file (--config or CONFIG_FILE, JSON or
+// YAML), then command-line flags (--slippage-bps 50); a later source overrides an earlier one.
+// Requiring the library reads the environment only; configure() takes the file and flags.
+// Types are checked while loading; `check` runs in validateConfig() at startup.
+// Each setting is exported as a getter, and the other modules read it as config.NAME when
+// they use it, so configure() can change settings after everything is loaded.
+const CONFIG_SCHEMA = {
+  MIN_CLAIMABLE_WATT: { type: 'number', default: 1, min: 0 },
+  CLAIM_WITHOUT_REWARDS_CHECK: { type: 'boolean', default: false }, // Claim anyway when the rewards cannot be read
+  USER_STATE_ACCOUNT: { type: 'string', default: '', check: checkStateAccount }, // Empty = the only one found, an address, or "all"
+  AUTO_SELL_ENABLED: { type: 'boolean', default: false },
+  AUTO_SELL_TOKEN: { type: 'string', default: 'USDC', check: checkSellToken },
+  AUTO_SELL_PERCENTAGE: { type: 'number', default: 100, min: 0, max: 100 },
+  MIN_SELL_PRICE_USD: { type: 'number', default: 0, min: 0 },
+  TARGET_SELL_PRICE_USD: { type: 'number', default: 0, min: 0 }, // 0 = market orders only
+  SELL_STRATEGY: { type: 'enum', default: 'fixed', values: ['fixed', 'ladder', 'trailing-stop', 'moving-average'] },
+  LADDER_LEVELS: { type: 'string', default: '', check: parseLadderLevels }, // e.g. 0.05:25,0.1:25,0.2:50
+  TRAILING_STOP_PCT: { type: 'number', default: 10, max: 100, check: checkPositive }, // Drop from the recorded high that triggers a sell
+  TRAILING_STOP_LOOKBACK_HOURS: { type: 'number', default: 168, min: 0 }, // 0 = all recorded samples
+  MOVING_AVERAGE_SAMPLES: { type: 'integer', default: 24, min: 1 },
+  LIMIT_ORDER_EXPIRY_HOURS: { type: 'number', default: 0, min: 0 }, // 0 = never expire
+  LIMIT_ORDER_EXPIRY_ACTION: { type: 'enum', default: 'market', values: ['market', 'cancel'] },
+  TWAP_CHUNKS: { type: 'integer', default: 1, min: 1 }, // 1 = sell in a single swap
+  TWAP_WINDOW_MINUTES: { type: 'number', default: 60, min: 0 },
+  ATOMIC_CLAIM_AND_SELL: { type: 'boolean', default: false }, // Claim and swap in one transaction when possible
+  SLIPPAGE_BPS: { type: 'integer', default: 100, min: 0, max: 10_000 },
+  PRIORITY_FEE_LAMPORTS: { type: 'integer', default: 10_000, min: 0 }, // Max priority fee per transaction, 0 = none
+  PRIORITY_FEE_PERCENTILE: { type: 'number', default: 75, min: 0, max: 100 }, // Of recent fees on the written accounts
+  SOL_FEE_RESERVE: { type: 'number', default: 0, min: 0 }, // Claimed WATT is swapped to SOL below it, 0 = no top-up
+  TX_MAX_ATTEMPTS: { type: 'integer', default: 3, min: 1 }, // Rebuild + re-sign after blockhash expiry
+  TX_MAX_TRANSIENT_RETRIES: { type: 'integer', default: 5, min: 0 }, // Per RPC call
+  TX_REBROADCAST_INTERVAL_MS: { type: 'integer', default: 2000, min: 1 },
+  MAX_PRICE_IMPACT_PCT: { type: 'number', default: 5, min: 0, max: 100 }, // Swap guards: 0 / empty = disabled
+  MAX_PRICE_DEVIATION_PCT: { type: 'number', default: 10, min: 0 }, // Effective vs reference price
+  MIN_OUTPUT_USD: { type: 'number', default: 0, min: 0 },
+  ROUTE_ALLOWED_DEXES: { type: 'list', default: [] },
+  ROUTE_DENIED_DEXES: { type: 'list', default: [] },
+  SWEEP_DESTINATION: { type: 'string', default: '', check: checkPublicKey }, // Empty = no sweep
+  SWEEP_HOT_WALLET_LIMITS: { type: 'string', default: '', check: parseHotWalletLimits }, // e.g. WATT:1000,USDC:50,SOL:0.5
+  DRY_RUN: { type: 'boolean', default: true },
+  WALLETS_FILE: { type: 'string', default: '' }, // JSON or YAML; empty = single WALLET_PRIVATE_KEY
+  NEXT_PUBLIC_RPC_ENDPOINT: { type: 'url', default: 'https://api.mainnet-beta.solana.com' },
+  RPC_ENDPOINTS: { type: 'string', default: '' }, // Overrides NEXT_PUBLIC_RPC_ENDPOINT; "url#role+role, url, ..."
+  RPC_MAX_SLOT_LAG: { type: 'integer', default: 50, min: 0 },
+  RPC_MAX_LATENCY_MS: { type: 'integer', default: 2000, min: 1 },
+  RPC_HEALTH_CHECK_INTERVAL_SECONDS: { type: 'number', default: 60, min: 0 },
+  RPC_COOLDOWN_SECONDS: { type: 'number', default: 30, min: 0 }, // After a failover
+  LOG_DIR: { type: 'string', default: '' }, // Empty = logs/ next to scripts/
+  LOG_FORMAT: { type: 'enum', default: 'text', values: ['text', 'json'] },
+  LOG_LEVEL: { type: 'enum', default: 'INFO', values: ['DEBUG', 'INFO', 'WARN', 'ERROR'] },
+  LOG_ROTATION: { type: 'enum', default: 'size', values: ['size', 'daily', 'none'] },
+  LOG_MAX_SIZE_MB: { type: 'number', default: 10, check: checkPositive },
+  LOG_MAX_FILES: { type: 'integer', default: 7, min: 0 }, // Rotated files kept
+  DAEMON_INTERVAL_MINUTES: { type: 'number', default: 60, check: checkPositive },
+  DAEMON_CRON: { type: 'string', default: '', check: checkCron }, // Overrides DAEMON_INTERVAL_MINUTES when set
+  DAEMON_JITTER_SECONDS: { type: 'number', default: 60, min: 0 },
+  DAEMON_BACKOFF_BASE_SECONDS: { type: 'number', default: 60, min: 0 },
+  DAEMON_MAX_BACKOFF_MINUTES: { type: 'number', default: 60, min: 0 },
+  NOTIFY_WEBHOOK_URL: { type: 'url', default: '' }, // Generic JSON POST
+  NOTIFY_TELEGRAM_BOT_TOKEN: { type: 'string', default: '' },
+  NOTIFY_TELEGRAM_CHAT_ID: { type: 'string', default: '' },
+  NOTIFY_DISCORD_WEBHOOK_URL: { type: 'url', default: '' },
+  NOTIFY_EVENTS: { type: 'list', default: [], values: ['claim', 'swap', 'sell_skipped', 'error'] }, // Empty = all
+  NOTIFY_RATE_LIMIT_PER_MINUTE: { type: 'integer', default: 20, min: 0 }, // Per channel, 0 = unlimited
+  NOTIFY_TEMPLATE_CLAIM: { type: 'string', default: '' }, // Empty = the built-in message
+  NOTIFY_TEMPLATE_SWAP: { type: 'string', default: '' },
+  NOTIFY_TEMPLATE_SELL_SKIPPED: { type: 'string', default: '' },
+  NOTIFY_TEMPLATE_ERROR: { type: 'string', default: '' },
+  METRICS_PORT: { type: 'integer', default: 0, min: 0, max: 65_535 }, // Daemon mode only, 0 = disabled
+  METRICS_HOST: { type: 'string', default: '127.0.0.1' },
+  HEALTH_MAX_CLAIM_AGE_HOURS: { type: 'number', default: 24, min: 0 }, // 0 = always healthy
+};
+
+// Flags that take no value; every other flag is followed by one
+const BOOLEAN_FLAGS = ['daemon', ...Object.keys(CONFIG_SCHEMA).filter(key => CONFIG_SCHEMA[key].type === 'boolean').map(configFlagName)];
+
+// Replaced in place by configure() with a config file or flags, so references stay valid
+let CONFIG_FILE = process.env.CONFIG_FILE || '';
+let CONFIG_REVISION = 0; // Counts configure() calls, for caches derived from the settings
+const { values: CONFIG, sources: CONFIG_SOURCES, errors: CONFIG_ERRORS } = loadConfig(CONFIG_FILE);
+
+// SOL fee reserve top-up
+const SOL_TOP_UP_MARGIN = 1.05; // Extra WATT swapped to absorb slippage and price impact
+const BASE_FEE_LAMPORTS = 5000; // Per signature
+const WSOL_ACCOUNT_RENT_LAMPORTS = 2_039_280; // Temporary wrapped SOL account, refunded after the swap
+const WATT_ACCOUNT_RENT_LAMPORTS = 2_039_280; // A missing WATT account the claim creates, kept afterwards
+
+// Compute budget
+const MAX_COMPUTE_UNITS = 1_400_000;
+const DEFAULT_COMPUTE_UNITS = 200_000; // Used when simulation cannot estimate the claim
+const COMPUTE_UNIT_MARGIN = 1.2;
+const SWAP_COMPUTE_UNIT_ESTIMATE = 400_000; // Jupiter sets the real limit; only used to apply the fee cap
+
+// Per-wallet sell settings default to these settings; WALLETS_FILE entries may override them
+const SELL_SETTING_KEYS = {
+  autoSellEnabled: 'AUTO_SELL_ENABLED',
+  sellToken: 'AUTO_SELL_TOKEN',
+  sellPercentage: 'AUTO_SELL_PERCENTAGE',
+  minSellPriceUsd: 'MIN_SELL_PRICE_USD',
+  targetSellPriceUsd: 'TARGET_SELL_PRICE_USD',
+  slippageBps: 'SLIPPAGE_BPS',
+  sellStrategy: 'SELL_STRATEGY',
+};
+
+// Token addresses
+const TOKEN_ADDRESSES = {
+  SOL: 'So11111111111111111111111111111111111111112',
+  USDC: 'EPjFWdd5AufqSSqeM2qN1xzybapC8G4wEGGkZwyTDt1v',
+  USDT: 'Es9vMFrzaCERmJfrF4H2FYD4KCoNkY11McCe8BenwNYB',
+  WATT: 'WattxY7ZKjPGcPn4mDK442SA7YQC4xwnjsSHPAJ7WXQ',
+};
+
+const TOKEN_DECIMALS = {
+  SOL: 9,
+  USDC: 6,
+  USDT: 6,
+  WATT: 6,
+};
+
+// Cold wallet sweep
+const MIN_HOT_WALLET_SOL = 0.01; // Never sweep the SOL needed for fees
+
+// Jupiter API (v1 endpoints)
+const JUPITER_API = 'https://lite-api.jup.ag/swap/v1';
+
+// System
+const DEFAULT_LOG_DIR = path.join(__dirname, '..', '..', 'logs'); // LOG_DIR overrides it
+const LOG_FILE_NAME = 'autoClaimAndSell.log';
+// Environment values never written to the log: secrets verbatim, URLs reduced to their origin
+// AUTO_SELL_TOKEN names the output token and is not a credential
+const SECRET_ENV_PATTERN = /KEY|SECRET|(?<!SELL_)TOKEN|PASSWORD|PASSPHRASE/i;
+const URL_ENV_PATTERN = /URL|ENDPOINT/i;
+const DATA_DIR = path.join(__dirname, '..', '..', 'data');
+const PENDING_SELLS_FILE = path.join(DATA_DIR, 'pendingSells.json');
+const LEDGER_FILE = path.join(DATA_DIR, 'ledger.jsonl');
+const STATE_ACCOUNT_CACHE_FILE = path.join(DATA_DIR, 'stateAccounts.json');
+const TWAP_SELLS_FILE = path.join(DATA_DIR, 'twapSells.json');
+const PRICE_HISTORY_FILE = path.join(DATA_DIR, 'priceHistory.jsonl');
+const STRATEGY_STATE_FILE = path.join(DATA_DIR, 'strategyState.json');
+const PROGRAM_STATE_FILE = path.join(DATA_DIR, 'programState.json');
+
+// Notifications (every channel is optional)
+const NOTIFY_TIMEOUT_MS = 10_000;
+
+function configFlagName(key) {
+  return key.toLowerCase().replace(/_/g, '-');
+}
+
+function readConfigFile(file) {
+  const filePath = path.resolve(file);
+  let parsed;
+  try {
+    const raw = fs.readFileSync(filePath, 'utf8');
+    parsed = /\.ya?ml$/i.test(filePath) ? YAML.parse(raw) : JSON.parse(raw);
+  } catch (error) {
+    throw new Error(`Failed to read config file ${filePath}: ${error.message}`);
+  }
+
+  if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+    throw new Error(`Config file ${filePath} must contain an object of settings, e.g. SLIPPAGE_BPS: 50`);
+  }
+  return parsed;
+}
+
+// flags: raw values by setting, e.g. { SLIPPAGE_BPS: '50' }, labelled as --slippage-bps.
+// Collects errors instead of throwing so validateConfig() can report all of them at once.
+function loadConfig(configFile, flags = {}) {
+  const values = {};
+  const sources = {};
+  const errors = [];
+
+  let fileValues = {};
+  if (configFile) {
+    try {
+      fileValues = readConfigFile(configFile);
+    } catch (error) {
+      errors.push(error.message);
+    }
+    for (const key of Object.keys(fileValues)) {
+      if (!CONFIG_SCHEMA[key]) {
+        errors.push(`Unknown setting ${key} in ${configFile}`);
+      }
+    }
+  }
+
+  for (const [key, spec] of Object.entries(CONFIG_SCHEMA)) {
+    let raw = spec.default;
+    let source = 'default';
+    if (flags[key] !== undefined && flags[key] !== null) {
+      [raw, source] = [flags[key], `--${configFlagName(key)}`];
+    } else if (fileValues[key] !== undefined && fileValues[key] !== null) {
+      [raw, source] = [fileValues[key], configFile];
+    } else if (process.env[key]) {
+      [raw, source] = [process.env[key], 'env'];
+    }
+
+    try {
+      values[key] = source === 'default' ? spec.default : parseConfigValue(key, raw);
+      sources[key] = source;
+    } catch (error) {
+      errors.push(`${key} (from ${source}): ${error.message}`);
+      values[key] = spec.default;
+      sources[key] = 'default';
+    }
+  }
+
+  return { values, sources, errors };
+}
+
+function parseConfigValue(key, raw) {
+  const spec = CONFIG_SCHEMA[key];
+  const value = typeof raw === 'string' ? raw.trim() : raw;
+
+  switch (spec.type) {
+    case 'boolean':
+      if (value === true || value === 'true') {
+        return true;
+      }
+      if (value === false || value === 'false') {
+        return false;
+      }
+      throw new Error(`"${raw}" is not true or false`);
+
+    case 'number':
+    case 'integer': {
+      const number = typeof value === 'number' ? value : value === '' ? NaN : Number(value);
+      if (!Number.isFinite(number)) {
+        throw new Error(`"${raw}" is not a number`);
+      }
+      if (spec.type === 'integer' && !Number.isInteger(number)) {
+        throw new Error(`"${raw}" is not a whole number`);
+      }
+      if (spec.min !== undefined && number < spec.min) {
+        throw new Error(`${number} is below the minimum of ${spec.min}`);
+      }
+      if (spec.max !== undefined && number > spec.max) {
+        throw new Error(`${number} is above the maximum of ${spec.max}`);
+      }
+      return number;
+    }
+
+    case 'enum': {
+      const match = spec.values.find(option => option.toLowerCase() === String(value).toLowerCase());
+      if (match === undefined) {
+        throw new Error(`"${raw}" must be one of ${spec.values.join(', ')}`);
+      }
+      return match;
+    }
+
+    case 'list': {
+      const list = parseLabelList(Array.isArray(value) ? value.join(',') : String(value));
+      const unknown = spec.values ? list.filter(label => !spec.values.includes(label)) : [];
+      if (unknown.length > 0) {
+        throw new Error(`unknown value(s) ${unknown.join(', ')}; must be from ${spec.values.join(', ')}`);
+      }
+      return list;
+    }
+
+    case 'url': {
+      let url;
+      try {
+        url = new URL(String(value));
+      } catch (error) {
+        throw new Error(`"${raw}" is not a URL`);
+      }
+      if (!['http:', 'https:'].includes(url.protocol)) {
+        throw new Error(`"${raw}" must be an http or https URL`);
+      }
+      return String(value);
+    }
+
+    default:
+      return String(value);
+  }
+}
+
+// Throws one error listing every invalid setting, so they can all be fixed in one go
+function validateConfig() {
+  const errors = [...CONFIG_ERRORS];
+  for (const [key, spec] of Object.entries(CONFIG_SCHEMA)) {
+    if (!spec.check || CONFIG[key] === '') {
+      continue;
+    }
+    try {
+      spec.check(CONFIG[key]);
+    } catch (error) {
+      errors.push(`${key} (from ${CONFIG_SOURCES[key]}): ${error.message}`);
+    }
+  }
+
+  if (CONFIG.SELL_STRATEGY === 'ladder' && CONFIG.LADDER_LEVELS === '') {
+    errors.push(`LADDER_LEVELS (from ${CONFIG_SOURCES.LADDER_LEVELS}): must be set when SELL_STRATEGY is ladder`);
+  }
+
+  if (errors.length > 0) {
+    throw new Error(`Invalid configuration:\n  - ${errors.join('\n  - ')}`);
+  }
+}
+
+// Sell settings of one WALLETS_FILE entry, checked like their environment counterparts
+function parseSellSettings(overrides, where) {
+  const settings = {};
+  for (const [name, raw] of Object.entries(overrides)) {
+    const key = SELL_SETTING_KEYS[name];
+    if (!key) {
+      throw new Error(`Unknown setting "${name}" for ${where}`);
+    }
+    try {
+      settings[name] = parseConfigValue(key, raw);
+      if (CONFIG_SCHEMA[key].check) {
+        CONFIG_SCHEMA[key].check(settings[name]);
+      }
+    } catch (error) {
+      throw new Error(`Invalid ${name} for ${where}: ${error.message}`);
+    }
+  }
+  return settings;
+}
+
+// Exported as DEFAULT_SELL_SETTINGS; built on every read, so it follows configure()
+function defaultSellSettings() {
+  return Object.fromEntries(Object.entries(SELL_SETTING_KEYS).map(([name, key]) => [name, CONFIG[key]]));
+}
+
+// Overrides settings for every module, e.g. configure({ DRY_RUN: true, AUTO_SELL_PERCENTAGE: 50 }).
+// Values are parsed and checked like the environment's, and an empty one restores the default
+// like an empty environment variable does. Nothing changes if any value is invalid.
+// With { configFile, flags } every setting is first reloaded from the environment, that file
+// and those flags; their errors are left for validateConfig() like the ones found at startup.
+function configure(overrides = {}, sources = null) {
+  if (sources) {
+    CONFIG_FILE = sources.configFile || '';
+    const loaded = loadConfig(CONFIG_FILE, sources.flags);
+    Object.assign(CONFIG, loaded.values);
+    Object.assign(CONFIG_SOURCES, loaded.sources);
+    CONFIG_ERRORS.splice(0, CONFIG_ERRORS.length, ...loaded.errors);
+  }
+
+  const values = {};
+  const errors = [];
+  for (const [key, raw] of Object.entries(overrides)) {
+    const spec = CONFIG_SCHEMA[key];
+    if (!spec) {
+      errors.push(`Unknown setting ${key}`);
+      continue;
+    }
+    try {
+      values[key] = raw === '' || raw === null || raw === undefined ? spec.default : parseConfigValue(key, raw);
+      if (spec.check && values[key] !== '') {
+        spec.check(values[key]);
+      }
+    } catch (error) {
+      errors.push(`${key}: ${error.message}`);
+    }
+  }
+
+  if (errors.length > 0) {
+    throw new Error(`Invalid configuration:\n  - ${errors.join('\n  - ')}`);
+  }
+  for (const [key, value] of Object.entries(values)) {
+    CONFIG[key] = value;
+    CONFIG_SOURCES[key] = 'configure()';
+  }
+  CONFIG_REVISION += 1;
+}
+
+function checkPositive(value) {
+  if (!(value > 0)) {
+    throw new Error(`${value} must be greater than 0`);
+  }
+}
+
+function checkPublicKey(value) {
+  try {
+    new PublicKey(value);
+  } catch (error) {
+    throw new Error(`"${value}" is not a valid address`);
+  }
+}
+
+function checkStateAccount(value) {
+  if (value !== 'all') {
+    checkPublicKey(value);
+  }
+}
+
+function checkCron(value) {
+  try {
+    CronExpressionParser.parse(value);
+  } catch (error) {
+    throw new Error(`"${value}" is not a valid cron expression: ${error.message}`);
+  }
+}
+
+function checkSellToken(value) {
+  for (const { token } of parseSellAllocation(value)) {
+    if (token === 'WATT' || token === TOKEN_ADDRESSES.WATT) {
+      throw new Error('WATT cannot be sold for WATT');
+    }
+    if (!TOKEN_ADDRESSES[token]) {
+      try {
+        new PublicKey(token);
+      } catch (error) {
+        throw new Error(`Invalid sell token: ${token}. Must be ${Object.keys(TOKEN_ADDRESSES).filter(symbol => symbol !== 'WATT').join(', ')} or a mint address`);
+      }
+    }
+  }
+}
+
+function parseLabelList(value) {
+  return value.split(',').map(label => label.trim().toLowerCase()).filter(Boolean);
+}
+
+// "USDC" or "USDC:60,SOL:40" → [{ token, percent }]
+function parseSellAllocation(sellToken) {
+  const parts = String(sellToken).split(',').map(part => part.trim()).filter(Boolean);
+  const allocation = parts.map(part => {
+    if (parts.length === 1 && !part.includes(':')) {
+      return { token: part, percent: 100 };
+    }
+
+    const [token, percent] = part.split(':').map(value => value.trim());
+    const value = Number(percent);
+    if (!token || !(value > 0)) {
+      throw new Error(`Invalid sell token allocation "${part}". Expected TOKEN:PERCENT, e.g. USDC:60,SOL:40`);
+    }
+    return { token, percent: value };
+  });
+
+  const total = allocation.reduce((sum, leg) => sum + leg.percent, 0);
+  if (allocation.length === 0 || Math.abs(total - 100) > 1e-9) {
+    throw new Error(`Invalid sell token allocation "${sellToken}": percentages add up to ${total}, not 100`);
+  }
+  return allocation;
+}
+
+// "0.05:25,0.1:25,0.2:50" → [{ priceUsd, percent }], lowest price first
+function parseLadderLevels(value) {
+  const levels = value.split(',').map(part => part.trim()).filter(Boolean).map(part => {
+    const [price, percent] = part.split(':').map(item => Number(item.trim()));
+    if (!(price > 0) || !(percent > 0 && percent <= 100)) {
+      throw new Error(`Invalid LADDER_LEVELS entry "${part}". Expected PRICE_USD:PERCENT, e.g. 0.05:25`);
+    }
+    return { priceUsd: price, percent };
+  });
+
+  levels.sort((a, b) => a.priceUsd - b.priceUsd);
+  for (let i = 1; i < levels.length; i++) {
+    if (levels[i].priceUsd === levels[i - 1].priceUsd) {
+      throw new Error(`LADDER_LEVELS lists the price ${levels[i].priceUsd} twice`);
+    }
+  }
+  return levels;
+}
+
+// "WATT:1000,USDC:50,SOL:0.5" → [{ token, limit }]; the limit stays in the hot wallet, the rest is swept
+function parseHotWalletLimits(value) {
+  return value.split(',').map(part => part.trim()).filter(Boolean).map(part => {
+    const [token, limit] = part.split(':').map(item => item.trim());
+    if (!token || !/^\d*\.?\d+$/.test(limit || '')) {
+      throw new Error(`Invalid SWEEP_HOT_WALLET_LIMITS entry "${part}". Expected TOKEN:AMOUNT, e.g. WATT:1000`);
+    }
+    if (token === 'SOL' && Number(limit) < MIN_HOT_WALLET_SOL) {
+      throw new Error(`SWEEP_HOT_WALLET_LIMITS must keep at least ${MIN_HOT_WALLET_SOL} SOL in the hot wallet for fees`);
+    }
+    // Kept as text, so the sweep converts it to the token's raw units exactly
+    return { token, limit };
+  });
+}
+
+module.exports = {
+  PROGRAM_ID,
+  WATT_MINT,
+  GLOBAL_CONFIG_PDA,
+  VAULT_ACCOUNT,
+  CLAIM_INSTRUCTION_DISCRIMINATOR,
+  USER_STATE_LAYOUT,
+  GLOBAL_CONFIG_LAYOUT,
+  WATT_DECIMALS,
+  BPF_UPGRADEABLE_LOADER_ID,
+  PROGRAM_ACCOUNT_SIZE,
+  PROGRAM_DATA_SLOT_OFFSET,
+  TOKEN_ACCOUNT_SIZE,
+  CONFIG_SCHEMA,
+  BOOLEAN_FLAGS,
+  CONFIG,
+  CONFIG_SOURCES,
+  SOL_TOP_UP_MARGIN,
+  BASE_FEE_LAMPORTS,
+  WSOL_ACCOUNT_RENT_LAMPORTS,
+  WATT_ACCOUNT_RENT_LAMPORTS,
+  MAX_COMPUTE_UNITS,
+  DEFAULT_COMPUTE_UNITS,
+  COMPUTE_UNIT_MARGIN,
+  SWAP_COMPUTE_UNIT_ESTIMATE,
+  SELL_SETTING_KEYS,
+  TOKEN_ADDRESSES,
+  TOKEN_DECIMALS,
+  MIN_HOT_WALLET_SOL,
+  JUPITER_API,
+  DEFAULT_LOG_DIR,
+  LOG_FILE_NAME,
+  SECRET_ENV_PATTERN,
+  URL_ENV_PATTERN,
+  DATA_DIR,
+  PENDING_SELLS_FILE,
+  LEDGER_FILE,
+  STATE_ACCOUNT_CACHE_FILE,
+  TWAP_SELLS_FILE,
+  PRICE_HISTORY_FILE,
+  STRATEGY_STATE_FILE,
+  PROGRAM_STATE_FILE,
+  NOTIFY_TIMEOUT_MS,
+  configFlagName,
+  loadConfig,
+  parseConfigValue,
+  validateConfig,
+  configure,
+  parseSellSettings,
+  checkStateAccount,
+  parseLabelList,
+  parseSellAllocation,
+  parseLadderLevels,
+  parseHotWalletLimits,
+};
+
+for (const key of Object.keys(CONFIG_SCHEMA)) {
+  Object.defineProperty(module.exports, key, { enumerable: true, get: () => CONFIG[key] });
+}
+Object.defineProperty(module.exports, 'CONFIG_FILE', { enumerable: true, get: () => CONFIG_FILE });
+Object.defineProperty(module.exports, 'CONFIG_REVISION', { enumerable: true, get: () => CONFIG_REVISION });
+Object.defineProperty(module.exports, 'RPC_URL', { enumerable: true, get: () => CONFIG.NEXT_PUBLIC_RPC_ENDPOINT });
+Object.defineProperty(module.exports, 'DEFAULT_SELL_SETTINGS', { enumerable: true, get: defaultSellSettings });
@@ -0,0 +1,42 @@
+/**
+ * The config command: prints the effective configuration and where each value came from.
+ */
+
+const { CONFIG_SCHEMA, BOOLEAN_FLAGS, CONFIG, CONFIG_SOURCES } = require('./config');
+const { getFlag, getPositionalArgs } = require('./cli');
+const { redactSetting } = require('./logger');
+
+// ============================================================================
+// CONFIG COMMAND
+// ============================================================================
+
+async function configCommand() {
+  const [, action] = getPositionalArgs(BOOLEAN_FLAGS);
+  if (action !== 'print') {
+    throw new Error('Usage: config print [--format text|json] [--config <file>] [--<setting> <value> ...]');
+  }
+
+  const format = getFlag('format') || 'text';
+  if (!['text', 'json'].includes(format)) {
+    throw new Error(`Invalid --format: ${format}. Must be text or json`);
+  }
+
+  const settings = Object.keys(CONFIG_SCHEMA).map(key => {
+    const value = Array.isArray(CONFIG[key]) ? CONFIG[key].join(',') : CONFIG[key];
+    return { key, value: redactSetting(key, value), source: CONFIG_SOURCES[key] };
+  });
+
+  if (format === 'json') {
+    const output = Object.fromEntries(settings.map(({ key, value, source }) => [key, { value, source }]));
+    process.stdout.write(JSON.stringify(output, null, 2) + '\n');
+    return;
+  }
+
+  // .env syntax, so the output can be copied into .env.local or a config file
+  const width = Math.max(...settings.map(({ key, value }) => `${key}=${value}`.length));
+  for (const { key, value, source } of settings) {
+    process.stdout.write(`${`${key}=${value}`.padEnd(width)}  # ${source}\n`);
+  }
+}
+
+module.exports = { configCommand };
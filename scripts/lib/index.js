@@ -0,0 +1,28 @@
+/**
+ * Library entry point. Requiring it loads the configuration from the environment
+ * but runs nothing; the command-line entry point is scripts/autoClaimAndSell.js.
+ * config.configure() changes settings afterwards.
+ *
+ * Everything that talks to Solana takes a Connection (or createRpcPool()) as its
+ * first argument, and everything that talks to Jupiter takes a client from
+ * createJupiterClient() as its second, so both can be swapped for fakes.
+ */
+
+module.exports = {
+  config: require('./config'),
+  ...require('./wallet'),
+  ...require('./rpc'),
+  ...require('./tokens'),
+  ...require('./transactions'),
+  ...require('./ledger'),
+  ...require('./claim'),
+  ...require('./jupiter'),
+  ...require('./pricing'),
+  ...require('./strategy'),
+  ...require('./swap'),
+  ...require('./atomic'),
+  ...require('./reserve'),
+  ...require('./sweep'),
+  ...require('./preflight'),
+  ...require('./runner'),
+};
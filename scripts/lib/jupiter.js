@@ -0,0 +1,82 @@
+/**
+ * Jupiter swap API client. Pass createJupiterClient({ baseUrl, fetchImpl })
+ * to point it somewhere else, e.g. a local fake server.
+ */
+
+const { JUPITER_API } = require('./config');
+const { incrementMetric, observeDuration } = require('./metrics');
+
+// ============================================================================
+// JUPITER API CLIENT
+// ============================================================================
+
+function createJupiterClient({ baseUrl = JUPITER_API, fetchImpl = fetch } = {}) {
+  // Every call goes through here so its latency and errors show up in the metrics
+  async function request(endpoint, url, options) {
+    const started = Date.now();
+    try {
+      const response = await fetchImpl(url, options);
+      if (!response.ok) {
+        incrementMetric('wattbot_jupiter_errors_total', { endpoint });
+      }
+      return response;
+    } catch (error) {
+      incrementMetric('wattbot_jupiter_errors_total', { endpoint });
+      throw error;
+    } finally {
+      observeDuration('wattbot_jupiter_request_duration_seconds', { endpoint }, Date.now() - started);
+    }
+  }
+
+  async function quote(inputMint, outputMint, amount, slippageBps) {
+    const url = new URL(`${baseUrl}/quote`);
+    url.searchParams.set('inputMint', inputMint);
+    url.searchParams.set('outputMint', outputMint);
+    url.searchParams.set('amount', amount.toString());
+    url.searchParams.set('slippageBps', slippageBps.toString());
+    url.searchParams.set('onlyDirectRoutes', 'false');
+    url.searchParams.set('asLegacyTransaction', 'false');
+
+    const response = await request('quote', url.toString());
+
+    if (!response.ok) {
+      const errorText = await response.text();
+      throw new Error(`Jupiter quote failed (${response.status}): ${errorText}`);
+    }
+
+    return await response.json();
+  }
+
+  async function post(endpoint, payload) {
+    const response = await request(endpoint, `${baseUrl}/${endpoint}`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'Accept': 'application/json'
+      },
+      body: JSON.stringify(payload),
+    });
+
+    if (!response.ok) {
+      const errorText = await response.text();
+      throw new Error(`Jupiter ${endpoint} failed (${response.status}): ${errorText}`);
+    }
+
+    return await response.json();
+  }
+
+  // A signed-ready transaction: { swapTransaction, lastValidBlockHeight }
+  async function swap(payload) {
+    return post('swap', payload);
+  }
+
+  // The same swap as separate instructions plus the lookup tables they need, to combine
+  // with other instructions: { setupInstructions, swapInstruction, cleanupInstruction, addressLookupTableAddresses, ... }
+  async function swapInstructions(payload) {
+    return post('swap-instructions', payload);
+  }
+
+  return { quote, swap, swapInstructions };
+}
+
+module.exports = { createJupiterClient };
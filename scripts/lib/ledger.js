@@ -0,0 +1,60 @@
+/**
+ * Append-only ledger of claims, swaps and transfers.
+ */
+
+const fs = require('fs');
+const config = require('./config');
+const { DATA_DIR, LEDGER_FILE } = require('./config');
+const { log } = require('./logger');
+
+// ============================================================================
+// LEDGER
+// ============================================================================
+
+async function getTransactionFee(connection, signature) {
+  try {
+    const tx = await connection.getTransaction(signature, {
+      maxSupportedTransactionVersion: 0
+    });
+    return tx && tx.meta ? tx.meta.fee : null;
+  } catch (error) {
+    log(`Warning: Could not fetch fee for ${signature}: ${error.message}`, 'WARN');
+    return null;
+  }
+}
+
+function recordLedgerEntry(entry) {
+  if (config.DRY_RUN) {
+    return;
+  }
+
+  try {
+    if (!fs.existsSync(DATA_DIR)) {
+      fs.mkdirSync(DATA_DIR, { recursive: true });
+    }
+    fs.appendFileSync(LEDGER_FILE, JSON.stringify({ timestamp: new Date().toISOString(), ...entry }) + '\n');
+  } catch (error) {
+    // The transaction already landed, so losing the record must not fail the run
+    log(`Could not write ledger entry for ${entry.signature}: ${error.message}`, 'ERROR');
+    log(`Ledger entry: ${JSON.stringify(entry)}`, 'ERROR');
+  }
+}
+
+function loadLedger() {
+  if (!fs.existsSync(LEDGER_FILE)) {
+    return [];
+  }
+
+  return fs.readFileSync(LEDGER_FILE, 'utf8')
+    .split('\n')
+    .filter(line => line.trim())
+    .map((line, index) => {
+      try {
+        return JSON.parse(line);
+      } catch (error) {
+        throw new Error(`Corrupt ledger line ${index + 1} in ${LEDGER_FILE}: ${error.message}`);
+      }
+    });
+}
+
+module.exports = { getTransactionFee, recordLedgerEntry, loadLedger };
@@ -0,0 +1,57 @@
+/**
+ * Graceful shutdown, interruptible sleeps and the daemon flag shared by the daemon and
+ * TWAP sells.
+ */
+
+const { log } = require('./logger');
+
+// ============================================================================
+// SHUTDOWN AND SLEEP
+// ============================================================================
+
+let shutdownRequested = false;
+let wakeUp = null;
+let daemonMode = false;
+
+// Set by the daemon: only a long-running process may wait inside a run
+function setDaemonMode(enabled) {
+  daemonMode = enabled;
+}
+
+function isDaemonMode() {
+  return daemonMode;
+}
+
+function requestShutdown(signal) {
+  if (shutdownRequested) {
+    log(`Received ${signal} again, exiting immediately`, 'WARN');
+    process.exit(1);
+  }
+
+  shutdownRequested = true;
+  log(`Received ${signal}, shutting down after the current step...`, 'WARN');
+  if (wakeUp) {
+    wakeUp();
+  }
+}
+
+function isShutdownRequested() {
+  return shutdownRequested;
+}
+
+function sleep(ms) {
+  return new Promise(resolve => {
+    const timer = setTimeout(() => {
+      wakeUp = null;
+      resolve();
+    }, ms);
+
+    wakeUp = () => {
+      clearTimeout(timer);
+      wakeUp = null;
+      resolve();
+    };
+  });
+}
+
+module.exports = { requestShutdown, isShutdownRequested, setDaemonMode, isDaemonMode, sleep };
@@ -0,0 +1,191 @@
+/**
+ * Logging to the console and a rotated log file, as text or JSON, with
+ * run context fields and secret redaction.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const config = require('./config');
+const { DEFAULT_LOG_DIR, LOG_FILE_NAME, SECRET_ENV_PATTERN, URL_ENV_PATTERN, CONFIG } = require('./config');
+
+// ============================================================================
+// LOGGING
+// ============================================================================
+
+const LOG_LEVELS = { DEBUG: 10, INFO: 20, WARN: 30, ERROR: 40 };
+
+// Run, wallet and phase of the current step, added to every JSON log line
+const logContext = { runId: null, walletName: null, wallet: null, phase: null };
+
+function setLogContext(fields) {
+  Object.assign(logContext, fields);
+}
+
+// Keeps only the origin: providers put API keys in the query string or in the path
+function redactUrl(url) {
+  try {
+    const parsed = new URL(url);
+    return parsed.pathname === '/' && !parsed.search ? parsed.origin : `${parsed.origin}/***`;
+  } catch (error) {
+    return url.split('?')[0];
+  }
+}
+
+// [secret, replacement] pairs, longest first so a secret inside another is not half replaced.
+// Built on first use and again after configure() changes the settings.
+let redactions = null;
+let redactionsRevision = null;
+const registeredSecrets = [];
+
+function buildRedactions() {
+  const list = [];
+  // Settings from a config file or flags never reach the environment
+  for (const [name, value] of Object.entries({ ...process.env, ...CONFIG })) {
+    if (typeof value !== 'string' || value.length < 8) {
+      continue;
+    }
+    if (SECRET_ENV_PATTERN.test(name)) {
+      list.push([value, '[REDACTED]']);
+    } else if (URL_ENV_PATTERN.test(name)) {
+      // RPC_ENDPOINTS holds several "url#roles" entries
+      for (const url of value.split(',').map(entry => entry.split('#')[0].trim())) {
+        if (url && redactUrl(url) !== url) {
+          list.push([url, redactUrl(url)]);
+        }
+      }
+    }
+  }
+  return list;
+}
+
+function currentRedactions() {
+  if (!redactions || redactionsRevision !== config.CONFIG_REVISION) {
+    redactions = [...buildRedactions(), ...registeredSecrets].sort((a, b) => b[0].length - a[0].length);
+    redactionsRevision = config.CONFIG_REVISION;
+  }
+  return redactions;
+}
+
+// How `config print` shows a setting: secrets hidden, URLs reduced to their origin
+function redactSetting(name, value) {
+  if (typeof value !== 'string' || !value) {
+    return value;
+  }
+  if (SECRET_ENV_PATTERN.test(name)) {
+    return '[REDACTED]';
+  }
+  if (URL_ENV_PATTERN.test(name)) {
+    return value.split(',').map(entry => entry.replace(/^[^#]+/, url => redactUrl(url.trim()))).join(',');
+  }
+  return value;
+}
+
+// Secrets that never pass through the environment, e.g. keys from a wallets file
+function registerSecret(value, replacement = '[REDACTED]') {
+  if (!value || String(value).length < 8) {
+    return;
+  }
+  registeredSecrets.push([String(value), replacement]);
+  redactions = null;
+}
+
+function redact(text) {
+  let result = text;
+  for (const [secret, replacement] of currentRedactions()) {
+    result = result.split(secret).join(replacement);
+  }
+  // API keys of URLs that did not come from the configuration, e.g. in an error message
+  return result.replace(/([?&](?:api[-_]?key|key|token|secret|access[-_]?token)=)[^&\s"']+/gi, '$1[REDACTED]');
+}
+
+// Directory, size and day of the current log file, read from disk on the first write to it
+let logFileState = null;
+
+function openLogFile(dir) {
+  if (!fs.existsSync(dir)) {
+    fs.mkdirSync(dir, { recursive: true });
+  }
+
+  const file = path.join(dir, LOG_FILE_NAME);
+  const stat = fs.existsSync(file) ? fs.statSync(file) : null;
+  logFileState = { dir, file, size: stat ? stat.size : 0, day: (stat ? stat.mtime : new Date()).toISOString().slice(0, 10) };
+}
+
+function rotateLogFile(suffix) {
+  const { dir } = logFileState;
+  let rotated = path.join(dir, `autoClaimAndSell.${suffix}.log`);
+  if (fs.existsSync(rotated)) {
+    rotated = path.join(dir, `autoClaimAndSell.${suffix}.${Date.now()}.log`);
+  }
+  fs.renameSync(logFileState.file, rotated);
+  logFileState.size = 0;
+
+  // Rotated names sort by date, so the oldest come first
+  const files = fs.readdirSync(dir).filter(file => /^autoClaimAndSell\..+\.log$/.test(file)).sort();
+  for (const file of files.slice(0, Math.max(0, files.length - config.LOG_MAX_FILES))) {
+    fs.unlinkSync(path.join(dir, file));
+  }
+}
+
+function writeLogLine(line) {
+  // LOG_DIR can change through configure(), which starts a new file
+  const dir = path.resolve(config.LOG_DIR || DEFAULT_LOG_DIR);
+  if (!logFileState || logFileState.dir !== dir) {
+    openLogFile(dir);
+  }
+
+  const now = new Date();
+  const today = now.toISOString().slice(0, 10);
+  const bytes = Buffer.byteLength(line) + 1;
+
+  if (logFileState.size > 0) {
+    if (config.LOG_ROTATION === 'daily' && today !== logFileState.day) {
+      rotateLogFile(logFileState.day);
+    } else if (config.LOG_ROTATION === 'size' && logFileState.size + bytes > config.LOG_MAX_SIZE_MB * 1024 * 1024) {
+      rotateLogFile(now.toISOString().replace(/[:.]/g, '-'));
+    }
+  }
+
+  fs.appendFileSync(logFileState.file, line + '\n');
+  logFileState.size += bytes;
+  logFileState.day = today;
+}
+
+// fields: structured data for JSON lines, e.g. { signature, amount }
+function log(message, level = 'INFO', fields = {}) {
+  if (LOG_LEVELS[level] < (LOG_LEVELS[config.LOG_LEVEL] || LOG_LEVELS.INFO)) {
+    return;
+  }
+
+  const timestamp = new Date().toISOString();
+  let logMessage;
+  if (config.LOG_FORMAT === 'json') {
+    const entry = { time: timestamp, level, message, ...logContext, ...fields };
+    // Unset context keys are left out to keep lines short; raw token amounts are written as strings
+    logMessage = redact(JSON.stringify(entry, (key, value) => {
+      if (typeof value === 'bigint') {
+        return value.toString();
+      }
+      return value === null && key in logContext ? undefined : value;
+    }));
+  } else {
+    logMessage = redact(`[${timestamp}] [${level}] ${message}`);
+  }
+
+  console.log(logMessage);
+  writeLogLine(logMessage);
+}
+
+module.exports = {
+  logContext,
+  setLogContext,
+  redactUrl,
+  redactSetting,
+  buildRedactions,
+  registerSecret,
+  redact,
+  openLogFile,
+  rotateLogFile,
+  writeLogLine,
+  log,
+};
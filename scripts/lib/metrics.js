@@ -0,0 +1,141 @@
+/**
+ * Prometheus metrics and the /metrics and /healthz HTTP endpoints.
+ */
+
+const http = require('http');
+const config = require('./config');
+const { log } = require('./logger');
+const { loadLedger } = require('./ledger');
+
+// ============================================================================
+// METRICS AND HEALTH
+// ============================================================================
+
+const METRIC_DEFINITIONS = {
+  wattbot_claims_attempted_total: { type: 'counter', help: 'Claim transactions sent' },
+  wattbot_claims_succeeded_total: { type: 'counter', help: 'Claim transactions confirmed' },
+  wattbot_claims_failed_total: { type: 'counter', help: 'Claim transactions that failed or never confirmed' },
+  wattbot_watt_claimed_total: { type: 'counter', help: 'WATT claimed' },
+  wattbot_watt_sold_total: { type: 'counter', help: 'WATT sold through Jupiter' },
+  wattbot_last_claim_timestamp_seconds: { type: 'gauge', help: 'Unix time of the last successful claim' },
+  wattbot_watt_price_usd: { type: 'gauge', help: 'WATT price from the last price check' },
+  wattbot_sol_balance: { type: 'gauge', help: 'SOL balance of the wallet' },
+  wattbot_watt_balance: { type: 'gauge', help: 'WATT balance of the wallet' },
+  wattbot_rpc_request_duration_seconds: { type: 'summary', help: 'RPC call latency' },
+  wattbot_rpc_errors_total: { type: 'counter', help: 'Failed RPC calls' },
+  wattbot_jupiter_request_duration_seconds: { type: 'summary', help: 'Jupiter API latency' },
+  wattbot_jupiter_errors_total: { type: 'counter', help: 'Failed Jupiter API calls' },
+  wattbot_runs_total: { type: 'counter', help: 'Finished runs by result' },
+  wattbot_last_run_timestamp_seconds: { type: 'gauge', help: 'Unix time the last run finished' },
+};
+
+// Metric name → Map of rendered labels → value ({ sum, count } for summaries)
+const metricValues = new Map();
+
+function metricSeries(name, labels) {
+  if (!metricValues.has(name)) {
+    metricValues.set(name, new Map());
+  }
+  const key = Object.entries(labels).map(([label, value]) => `${label}="${String(value).replace(/[\\"]/g, '\\$&')}"`).join(',');
+  return { series: metricValues.get(name), key };
+}
+
+function incrementMetric(name, labels = {}, value = 1) {
+  const { series, key } = metricSeries(name, labels);
+  series.set(key, (series.get(key) || 0) + value);
+}
+
+function setMetric(name, labels, value) {
+  const { series, key } = metricSeries(name, labels);
+  series.set(key, value);
+}
+
+function observeDuration(name, labels, milliseconds) {
+  const { series, key } = metricSeries(name, labels);
+  const current = series.get(key) || { sum: 0, count: 0 };
+  series.set(key, { sum: current.sum + milliseconds / 1000, count: current.count + 1 });
+}
+
+// Prometheus text exposition format
+function renderMetrics() {
+  const lines = [];
+  for (const [name, { type, help }] of Object.entries(METRIC_DEFINITIONS)) {
+    const series = metricValues.get(name);
+    if (!series) {
+      continue;
+    }
+
+    lines.push(`# HELP ${name} ${help}`, `# TYPE ${name} ${type}`);
+    for (const [key, value] of series) {
+      const labels = key ? `{${key}}` : '';
+      if (type === 'summary') {
+        lines.push(`${name}_sum${labels} ${value.sum}`, `${name}_count${labels} ${value.count}`);
+      } else {
+        lines.push(`${name}${labels} ${value}`);
+      }
+    }
+  }
+  return lines.join('\n') + '\n';
+}
+
+const processStartedAt = Date.now();
+let lastClaimAt = null;
+
+function recordClaimMetrics(walletAddress, amount) {
+  lastClaimAt = Date.now();
+  incrementMetric('wattbot_watt_claimed_total', { wallet: walletAddress }, amount);
+  setMetric('wattbot_last_claim_timestamp_seconds', { wallet: walletAddress }, Math.floor(lastClaimAt / 1000));
+}
+
+// Unhealthy once no claim has succeeded for HEALTH_MAX_CLAIM_AGE_HOURS, counted from startup until the first one
+function healthStatus() {
+  const since = lastClaimAt || processStartedAt;
+  const ageHours = (Date.now() - since) / 3_600_000;
+  const healthy = config.HEALTH_MAX_CLAIM_AGE_HOURS <= 0 || ageHours <= config.HEALTH_MAX_CLAIM_AGE_HOURS;
+
+  return {
+    status: healthy ? 'ok' : 'unhealthy',
+    lastClaimAt: lastClaimAt ? new Date(lastClaimAt).toISOString() : null,
+    reason: healthy ? null : `no successful claim in ${ageHours.toFixed(1)}h (maximum ${config.HEALTH_MAX_CLAIM_AGE_HOURS}h)`,
+  };
+}
+
+function startMetricsServer() {
+  // The ledger remembers the last claim across restarts
+  const lastClaim = loadLedger().filter(entry => entry.type === 'claim').pop();
+  if (lastClaim) {
+    lastClaimAt = Date.parse(lastClaim.timestamp);
+  }
+
+  const server = http.createServer((request, response) => {
+    const { pathname } = new URL(request.url, 'http://localhost');
+
+    if (request.method !== 'GET') {
+      response.writeHead(405).end();
+    } else if (pathname === '/metrics') {
+      response.writeHead(200, { 'Content-Type': 'text/plain; version=0.0.4' }).end(renderMetrics());
+    } else if (pathname === '/healthz') {
+      const health = healthStatus();
+      response.writeHead(health.status === 'ok' ? 200 : 503, { 'Content-Type': 'application/json' }).end(JSON.stringify(health));
+    } else {
+      response.writeHead(404).end();
+    }
+  });
+
+  server.on('error', error => log(`Metrics server error: ${error.message}`, 'ERROR'));
+  server.listen(config.METRICS_PORT, config.METRICS_HOST, () => {
+    log(`Metrics: http://${config.METRICS_HOST}:${config.METRICS_PORT}/metrics and /healthz`, 'INFO');
+  });
+  return server;
+}
+
+module.exports = {
+  metricSeries,
+  incrementMetric,
+  setMetric,
+  observeDuration,
+  renderMetrics,
+  recordClaimMetrics,
+  healthStatus,
+  startMetricsServer,
+};
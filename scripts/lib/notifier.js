@@ -0,0 +1,93 @@
+/**
+ * Notifications for claims, swaps, skipped sells and errors, sent to a generic
+ * webhook, Telegram and Discord.
+ */
+
+const config = require('./config');
+const { NOTIFY_TIMEOUT_MS } = require('./config');
+const { log } = require('./logger');
+
+// ============================================================================
+// NOTIFICATIONS
+// ============================================================================
+
+// Built-in message per event. {placeholders} are filled from the event fields;
+// NOTIFY_TEMPLATE_<EVENT> replaces a template.
+const DEFAULT_NOTIFY_TEMPLATES = {
+  claim: '✅ Claimed {amount} WATT ({wallet})\n{link}',
+  swap: '💱 Sold {inputAmount} WATT → {outputs}, kept {keptAmount} WATT ({wallet})\n{link}',
+  sell_skipped: '⏸️ Sell skipped: {reason} ({wallet})',
+  error: '❌ Error ({wallet}): {message}',
+};
+
+function createNotifyChannels() {
+  const channels = [];
+
+  if (config.NOTIFY_WEBHOOK_URL) {
+    channels.push({ name: 'webhook', url: config.NOTIFY_WEBHOOK_URL, body: (event, text, fields) => ({ event, text, dryRun: config.DRY_RUN, ...fields }) });
+  }
+  if (config.NOTIFY_TELEGRAM_BOT_TOKEN && config.NOTIFY_TELEGRAM_CHAT_ID) {
+    channels.push({
+      name: 'telegram',
+      url: `https://api.telegram.org/bot${config.NOTIFY_TELEGRAM_BOT_TOKEN}/sendMessage`,
+      body: (event, text) => ({ chat_id: config.NOTIFY_TELEGRAM_CHAT_ID, text, disable_web_page_preview: true }),
+    });
+  }
+  if (config.NOTIFY_DISCORD_WEBHOOK_URL) {
+    channels.push({ name: 'discord', url: config.NOTIFY_DISCORD_WEBHOOK_URL, body: (event, text) => ({ content: text }) });
+  }
+
+  return channels;
+}
+
+// Timestamps of recent sends per channel name, for the per-channel rate limit
+const recentSends = new Map();
+
+function renderTemplate(template, fields) {
+  return template.replace(/\{(\w+)\}/g, (match, key) => (fields[key] === undefined || fields[key] === null ? '' : String(fields[key])));
+}
+
+// Sends an event to every configured channel. Never throws: a broken notifier must not stop a claim.
+async function notify(event, fields) {
+  // Built on every call, so settings changed with configure() apply
+  const channels = createNotifyChannels();
+  if (channels.length === 0 || (config.NOTIFY_EVENTS.length > 0 && !config.NOTIFY_EVENTS.includes(event))) {
+    return;
+  }
+
+  const override = config[`NOTIFY_TEMPLATE_${event.toUpperCase()}`];
+  const template = override ? override.replace(/\\n/g, '\n') : DEFAULT_NOTIFY_TEMPLATES[event];
+  const text = `${config.DRY_RUN ? 'DRY RUN: ' : ''}${renderTemplate(template, fields).trim()}`;
+
+  for (const channel of channels) {
+    const now = Date.now();
+    const sent = (recentSends.get(channel.name) || []).filter(time => now - time < 60_000);
+    recentSends.set(channel.name, sent);
+    if (config.NOTIFY_RATE_LIMIT_PER_MINUTE > 0 && sent.length >= config.NOTIFY_RATE_LIMIT_PER_MINUTE) {
+      log(`Notification to ${channel.name} dropped: more than ${config.NOTIFY_RATE_LIMIT_PER_MINUTE} per minute`, 'WARN');
+      continue;
+    }
+    sent.push(now);
+
+    try {
+      const response = await fetch(channel.url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(channel.body(event, text, fields)),
+        signal: AbortSignal.timeout(NOTIFY_TIMEOUT_MS),
+      });
+      if (!response.ok) {
+        throw new Error(`HTTP ${response.status}`);
+      }
+    } catch (error) {
+      // Only the channel name is logged, the Telegram URL contains the bot token
+      log(`Notification to ${channel.name} failed: ${error.message}`, 'WARN');
+    }
+  }
+}
+
+function solscanLinks(signatures) {
+  return signatures.map(signature => `https://solscan.io/tx/${signature}`).join('\n');
+}
+
+module.exports = { createNotifyChannels, renderTemplate, notify, solscanLinks };
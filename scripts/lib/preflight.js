@@ -0,0 +1,305 @@
+/**
+ * Preflight checks the claim relies on, and the doctor command that reports them.
+ */
+
+const { PublicKey, Transaction } = require('@solana/web3.js');
+const {
+  getAssociatedTokenAddress,
+  createAssociatedTokenAccountIdempotentInstruction,
+  TOKEN_PROGRAM_ID,
+} = require('@solana/spl-token');
+const config = require('./config');
+const {
+  PROGRAM_ID,
+  WATT_MINT,
+  GLOBAL_CONFIG_PDA,
+  VAULT_ACCOUNT,
+  GLOBAL_CONFIG_LAYOUT,
+  BPF_UPGRADEABLE_LOADER_ID,
+  PROGRAM_ACCOUNT_SIZE,
+  PROGRAM_DATA_SLOT_OFFSET,
+  TOKEN_ACCOUNT_SIZE,
+  PROGRAM_STATE_FILE,
+} = require('./config');
+const { log } = require('./logger');
+const { readStateFile, writeStateFile } = require('./state');
+const { loadWallet, loadWalletConfigs } = require('./wallet');
+const { createRpcPool } = require('./rpc');
+const { formatWatt, getWattBalance, verifyWattMint } = require('./tokens');
+const { sendAndConfirmTransaction, simulate } = require('./transactions');
+const { findUserStateAccounts, selectUserStateAccounts, readClaimableRewards, buildClaimTransaction } = require('./claim');
+const { formatSol, requiredFeeLamports } = require('./reserve');
+
+// ============================================================================
+// PROGRAM DRIFT
+// ============================================================================
+
+// The hard-coded accounts the claim instruction passes. An upgrade that moves or resizes
+// them would make claims fail or, worse, pay out from somewhere unexpected. The global
+// config may grow (the decoder reads only its first bytes), the others must match exactly.
+const PROGRAM_ACCOUNTS = [
+  { name: 'CodeGame program', address: PROGRAM_ID, owner: BPF_UPGRADEABLE_LOADER_ID, size: PROGRAM_ACCOUNT_SIZE, executable: true, upgradeable: true },
+  { name: 'Global config', address: GLOBAL_CONFIG_PDA, owner: PROGRAM_ID, size: GLOBAL_CONFIG_LAYOUT.size, minSize: true, mintOffset: GLOBAL_CONFIG_LAYOUT.wattMint },
+  { name: 'Vault', address: VAULT_ACCOUNT, owner: TOKEN_PROGRAM_ID, size: TOKEN_ACCOUNT_SIZE, mintOffset: 0 },
+];
+
+// Slot of the program's last deploy, read from its program data account
+async function readDeploySlot(connection, programInfo) {
+  const programData = new PublicKey(programInfo.data.subarray(4, 36));
+  const info = await connection.getAccountInfo(programData);
+  if (!info || info.data.length < PROGRAM_DATA_SLOT_OFFSET + 8) {
+    throw new Error(`program data account ${programData.toBase58()} not found`);
+  }
+  return Number(info.data.readBigUInt64LE(PROGRAM_DATA_SLOT_OFFSET));
+}
+
+// Each expected account with the ways it differs on-chain (empty when it still matches).
+// The program also gets its deploySlot and the verifiedSlot recorded in data/programState.json;
+// a redeploy keeps owner and size, so a changed slot is the only sign of an upgrade.
+async function checkProgramAccounts(connection) {
+  const infos = await connection.getMultipleAccountsInfo(PROGRAM_ACCOUNTS.map(account => account.address));
+  const results = [];
+
+  for (const [index, expected] of PROGRAM_ACCOUNTS.entries()) {
+    const info = infos[index];
+    const result = { ...expected, problems: [] };
+    results.push(result);
+
+    if (!info) {
+      result.problems.push('account not found');
+      continue;
+    }
+    if (!info.owner.equals(expected.owner)) {
+      result.problems.push(`owner is ${info.owner.toBase58()}, expected ${expected.owner.toBase58()}`);
+    }
+    if (expected.minSize ? info.data.length < expected.size : info.data.length !== expected.size) {
+      result.problems.push(`size is ${info.data.length} bytes, expected ${expected.minSize ? 'at least ' : ''}${expected.size}`);
+    }
+    if (expected.executable && !info.executable) {
+      result.problems.push('is not executable');
+    }
+    if (expected.mintOffset !== undefined && info.data.length >= expected.mintOffset + 32) {
+      const mint = new PublicKey(info.data.subarray(expected.mintOffset, expected.mintOffset + 32));
+      if (!mint.equals(WATT_MINT)) {
+        result.problems.push(`holds mint ${mint.toBase58()}, expected WATT`);
+      }
+    }
+
+    if (expected.upgradeable && result.problems.length === 0) {
+      try {
+        result.deploySlot = await readDeploySlot(connection, info);
+      } catch (error) {
+        result.problems.push(error.message);
+        continue;
+      }
+      result.verifiedSlot = readStateFile(PROGRAM_STATE_FILE, {}).deploySlot;
+      if (result.verifiedSlot !== undefined && result.verifiedSlot !== result.deploySlot) {
+        result.upgraded = true;
+        result.problems.push(`upgraded at slot ${result.deploySlot}, claims were verified against slot ${result.verifiedSlot}`);
+      }
+    }
+  }
+
+  return results;
+}
+
+// Remembers the deploy the claim is known to work with. Dry runs leave the file alone.
+function recordDeploySlot(deploySlot) {
+  if (!config.DRY_RUN) {
+    writeStateFile(PROGRAM_STATE_FILE, { deploySlot, recordedAt: new Date().toISOString() });
+  }
+}
+
+// Run before any claim is sent; throws if the program's accounts have drifted or the program
+// was redeployed since the slot in data/programState.json. The first run records the slot.
+async function verifyProgramAccounts(connection) {
+  const accounts = await checkProgramAccounts(connection);
+  const drifted = accounts.filter(account => account.problems.length > 0);
+  if (drifted.length === 0) {
+    const program = accounts.find(account => account.upgradeable);
+    if (program.verifiedSlot === undefined) {
+      log(`CodeGame program deployed at slot ${program.deploySlot}${config.DRY_RUN ? '' : ', recorded: runs refuse to claim once it changes'}`, 'INFO');
+      recordDeploySlot(program.deploySlot);
+    }
+    return;
+  }
+
+  for (const account of drifted) {
+    log(`❌ ${account.name} ${account.address.toBase58()}: ${account.problems.join(', ')}`, 'ERROR');
+  }
+  if (drifted.some(account => account.upgraded)) {
+    log('   Run the doctor command with DRY_RUN=false: it simulates the claim against the new program and accepts the upgrade if it succeeds', 'ERROR');
+  }
+  throw new Error(`CodeGame accounts no longer match what the claim expects (${drifted.map(account => account.name).join(', ')}), refusing to claim. Run the doctor command for details`);
+}
+
+// ============================================================================
+// DOCTOR COMMAND
+// ============================================================================
+
+// Anchor's InstructionMissing / InstructionFallbackNotFound: the program does not know the discriminator
+const UNKNOWN_INSTRUCTION_ERRORS = [100, 101];
+
+function describeSimulationError(err) {
+  const custom = err && err.InstructionError && err.InstructionError[1] && err.InstructionError[1].Custom;
+  if (UNKNOWN_INSTRUCTION_ERRORS.includes(custom)) {
+    return `the program no longer recognizes CLAIM_INSTRUCTION_DISCRIMINATOR (error ${custom})`;
+  }
+  return JSON.stringify(err);
+}
+
+async function createWattAccount(connection, wallet, wattAccount) {
+  return sendAndConfirmTransaction(connection, wallet, async () => {
+    const { blockhash, lastValidBlockHeight } = await connection.getLatestBlockhash('confirmed');
+    const transaction = new Transaction().add(
+      createAssociatedTokenAccountIdempotentInstruction(wallet.publicKey, wattAccount, wallet.publicKey, WATT_MINT, TOKEN_PROGRAM_ID)
+    );
+    transaction.recentBlockhash = blockhash;
+    transaction.lastValidBlockHeight = lastValidBlockHeight;
+    transaction.feePayer = wallet.publicKey;
+    return { transaction, lastValidBlockHeight };
+  }, 'Create WATT account');
+}
+
+// Logs what a run would find for one wallet. Returns the number of problems.
+async function diagnoseWallet(connection, walletConfig) {
+  let problems = 0;
+  const fail = message => {
+    problems++;
+    log(`❌ ${message}`, 'ERROR');
+  };
+
+  log('========================================', 'INFO');
+  log(`Doctor: ${walletConfig.name}`, 'INFO');
+  log('========================================', 'INFO');
+
+  const wallet = await loadWallet(walletConfig.signer);
+  log(`Wallet:              ${wallet.publicKey.toBase58()}`, 'INFO');
+
+  // A fresh scan, so a state account created since the last run is listed too
+  const accounts = await findUserStateAccounts(connection, wallet.publicKey, false);
+  let selected = [];
+  try {
+    selected = await selectUserStateAccounts(connection, wallet.publicKey, walletConfig.stateAccount);
+  } catch (error) {
+    fail(error.message);
+  }
+
+  log(`State accounts:      ${accounts.length}${walletConfig.stateAccount ? ` (stateAccount: ${walletConfig.stateAccount})` : ''}`, 'INFO');
+  for (const account of accounts) {
+    const marker = selected.some(pubkey => pubkey.equals(account)) ? '→ claimed' : '  not claimed';
+    try {
+      const { userState, claimable } = await readClaimableRewards(connection, wallet.publicKey, account);
+      log(`  ${marker}  ${account.toBase58()}`, 'INFO');
+      log(`      Owner: ${userState.owner.toBase58()}, hash power ${userState.hashPower}, accrued ${formatWatt(userState.accruedRewards)} WATT, claimable ${formatWatt(claimable)} WATT (minimum ${config.MIN_CLAIMABLE_WATT})`, 'INFO');
+    } catch (error) {
+      fail(`${account.toBase58()} cannot be decoded: ${error.message}`);
+    }
+  }
+
+  // Claims create a missing WATT account themselves; the doctor creates it up front in live mode
+  const wattAccount = await getAssociatedTokenAddress(WATT_MINT, wallet.publicKey, false, TOKEN_PROGRAM_ID);
+  let wattAccountMissing = !(await connection.getAccountInfo(wattAccount));
+  if (!wattAccountMissing) {
+    log(`✅ WATT account:     ${wattAccount.toBase58()} (${formatWatt(await getWattBalance(connection, wallet.publicKey))} WATT)`, 'INFO');
+  } else if (config.DRY_RUN) {
+    log(`⚠️  WATT account:     ${wattAccount.toBase58()} does not exist. The next claim creates it, or run with DRY_RUN=false to create it now`, 'WARN');
+  } else {
+    const signature = await createWattAccount(connection, wallet, wattAccount);
+    wattAccountMissing = false;
+    log(`✅ WATT account:     ${wattAccount.toBase58()} created (https://solscan.io/tx/${signature})`, 'INFO');
+  }
+
+  const balance = await connection.getBalance(wallet.publicKey, 'confirmed');
+  const required = requiredFeeLamports(wattAccountMissing);
+  if (balance < required) {
+    fail(`SOL balance ${formatSol(balance)} is below the ${formatSol(required)} a claim needs`);
+  } else {
+    log(`✅ SOL balance:      ${formatSol(balance)}`, 'INFO');
+  }
+
+  // Simulating the real claim catches a changed discriminator or account list before a run sends it
+  for (const account of selected) {
+    try {
+      const value = await simulate(connection, await buildClaimTransaction(connection, wallet, account), []);
+      if (value.err) {
+        fail(`Claim simulation for ${account.toBase58()} failed: ${describeSimulationError(value.err)}`);
+        for (const line of value.logs || []) {
+          log(`   ${line}`, 'INFO');
+        }
+      } else {
+        log(`✅ Claim simulation: ${account.toBase58()} (${value.unitsConsumed} compute units)`, 'INFO');
+      }
+    } catch (error) {
+      fail(`Claim simulation for ${account.toBase58()} failed: ${error.message}`);
+    }
+  }
+
+  return problems;
+}
+
+async function doctor() {
+  const walletConfigs = loadWalletConfigs();
+  const connection = createRpcPool();
+  let problems = 0;
+
+  log('========================================', 'INFO');
+  log('Doctor: CodeGame program', 'INFO');
+  log('========================================', 'INFO');
+
+  try {
+    const watt = await verifyWattMint(connection);
+    log(`✅ WATT mint:        ${WATT_MINT.toBase58()} (${watt.decimals} decimals)`, 'INFO');
+  } catch (error) {
+    problems++;
+    log(`❌ ${error.message}`, 'ERROR');
+  }
+
+  let upgrade = null;
+  for (const account of await checkProgramAccounts(connection)) {
+    const label = `${account.name}:`.padEnd(18);
+    const slot = account.deploySlot !== undefined ? `, deployed at slot ${account.deploySlot}` : '';
+    if (account.upgraded && account.problems.length === 1) {
+      // Decided after the claim simulations below
+      upgrade = account;
+      log(`⚠️  ${label} ${account.address.toBase58()} ${account.problems[0]}`, 'WARN');
+    } else if (account.problems.length > 0) {
+      problems++;
+      log(`❌ ${label} ${account.address.toBase58()} ${account.problems.join(', ')}`, 'ERROR');
+    } else {
+      log(`✅ ${label} ${account.address.toBase58()} (owner ${account.owner.toBase58()}, ${account.minSize ? 'at least ' : ''}${account.size} bytes${slot})`, 'INFO');
+    }
+  }
+
+  for (const walletConfig of walletConfigs) {
+    try {
+      problems += await diagnoseWallet(connection, walletConfig);
+    } catch (error) {
+      problems++;
+      log(`❌ ERROR [${walletConfig.name}]: ${error.message}`, 'ERROR');
+    }
+  }
+
+  // An upgrade is accepted only when every claim simulation against it succeeded
+  if (upgrade && problems === 0 && !config.DRY_RUN) {
+    recordDeploySlot(upgrade.deploySlot);
+    log(`✅ Accepted the CodeGame program deployed at slot ${upgrade.deploySlot}, runs claim again`, 'INFO');
+  } else if (upgrade) {
+    problems++;
+    log(`❌ CodeGame program upgraded at slot ${upgrade.deploySlot}. ${problems > 1 ? 'Fix the problems above, then run' : 'Run'} the doctor with DRY_RUN=false to accept it`, 'ERROR');
+  }
+
+  if (problems > 0) {
+    log(`Doctor found ${problems} problem(s)`, 'ERROR');
+    process.exit(1);
+  }
+  log('Doctor found no problems', 'INFO');
+}
+
+module.exports = {
+  PROGRAM_ACCOUNTS,
+  checkProgramAccounts,
+  verifyProgramAccounts,
+  describeSimulationError,
+  doctor,
+};
@@ -0,0 +1,134 @@
+/**
+ * WATT and output token prices from Jupiter quotes, and the local WATT price history.
+ */
+
+const fs = require('fs');
+const config = require('./config');
+const { TOKEN_ADDRESSES, TOKEN_DECIMALS, DATA_DIR, PRICE_HISTORY_FILE } = require('./config');
+const { log } = require('./logger');
+const { setMetric } = require('./metrics');
+
+// ============================================================================
+// PRICES
+// ============================================================================
+
+async function getOutputTokenPriceUSD(jupiter, token) {
+  if (token.mint === TOKEN_ADDRESSES.USDC || token.mint === TOKEN_ADDRESSES.USDT) {
+    return 1;
+  }
+
+  const quote = await jupiter.quote(token.mint, TOKEN_ADDRESSES.USDC, 10 ** token.decimals, 50);
+  return parseFloat(quote.outAmount) / 10 ** TOKEN_DECIMALS.USDC;
+}
+
+async function getWattPriceUSD(jupiter, minSellPriceUsd = config.MIN_SELL_PRICE_USD) {
+  try {
+    // Try direct WATT/USDC route first
+    const wattAmount = 1_000_000; // 1 WATT (6 decimals)
+
+    try {
+      const quote = await jupiter.quote(
+        TOKEN_ADDRESSES.WATT,
+        TOKEN_ADDRESSES.USDC,
+        wattAmount,
+        50 // Low slippage for price check
+      );
+
+      const usdcAmount = parseFloat(quote.outAmount) / 1_000_000; // USDC has 6 decimals
+      setMetric('wattbot_watt_price_usd', {}, usdcAmount);
+      return usdcAmount;
+    } catch (quoteError) {
+      // If direct route fails, try WATT -> SOL -> USDC
+      log(`Direct WATT/USDC route not available, trying via SOL...`, 'INFO');
+
+      const wattSolQuote = await jupiter.quote(
+        TOKEN_ADDRESSES.WATT,
+        TOKEN_ADDRESSES.SOL,
+        wattAmount,
+        50
+      );
+
+      const solAmount = parseFloat(wattSolQuote.outAmount) / 1_000_000_000; // SOL has 9 decimals
+
+      // Get SOL/USDC price
+      const solUsdcQuote = await jupiter.quote(
+        TOKEN_ADDRESSES.SOL,
+        TOKEN_ADDRESSES.USDC,
+        1_000_000_000, // 1 SOL
+        50
+      );
+
+      const solPriceUSD = parseFloat(solUsdcQuote.outAmount) / 1_000_000;
+      const wattPriceUSD = solAmount * solPriceUSD;
+
+      log(`WATT price via SOL: $${wattPriceUSD.toFixed(6)} (SOL: $${solPriceUSD.toFixed(2)})`, 'INFO');
+      setMetric('wattbot_watt_price_usd', {}, wattPriceUSD);
+      return wattPriceUSD;
+    }
+  } catch (error) {
+    log(`Warning: Could not fetch WATT price: ${error.message}`, 'WARN');
+
+    // If MIN_SELL_PRICE_USD is 0, we can proceed without price check
+    if (minSellPriceUsd === 0) {
+      log(`MIN_SELL_PRICE_USD is 0, will attempt swap without price verification`, 'WARN');
+      return 0; // Return 0 to allow swap to proceed
+    }
+
+    return null;
+  }
+}
+
+// ============================================================================
+// PRICE HISTORY
+// ============================================================================
+
+// The runner appends one sample per run, dry runs included: the samples are observations, not actions
+function recordPriceSample(priceUsd, timestamp = new Date().toISOString()) {
+  if (!(priceUsd > 0)) {
+    log(`Not recording WATT price sample ${priceUsd}: must be greater than 0`, 'WARN');
+    return;
+  }
+
+  try {
+    if (!fs.existsSync(DATA_DIR)) {
+      fs.mkdirSync(DATA_DIR, { recursive: true });
+    }
+    fs.appendFileSync(PRICE_HISTORY_FILE, JSON.stringify({ timestamp, priceUsd }) + '\n');
+  } catch (error) {
+    log(`Could not record WATT price sample: ${error.message}`, 'WARN');
+  }
+}
+
+// Oldest sample first, as { timestamp, priceUsd }. A sample without a valid timestamp and a
+// positive price is skipped with a warning, so one bad quote cannot stop every later strategy run.
+function loadPriceHistory(file = PRICE_HISTORY_FILE) {
+  if (!fs.existsSync(file)) {
+    return [];
+  }
+
+  const samples = [];
+  for (const [index, line] of fs.readFileSync(file, 'utf8').split('\n').entries()) {
+    if (!line.trim()) {
+      continue;
+    }
+
+    // A line that does not parse (e.g. a write cut short by a crash) is skipped like any other
+    // bad sample, so one broken line cannot stop every later run's strategy
+    let sample;
+    try {
+      sample = JSON.parse(line);
+    } catch (error) {
+      log(`Skipping unreadable price sample on line ${index + 1} of ${file}: ${error.message}`, 'WARN');
+      continue;
+    }
+    if (!sample || Number.isNaN(Date.parse(sample.timestamp)) || !(sample.priceUsd > 0)) {
+      log(`Skipping invalid price sample on line ${index + 1} of ${file}: expected { timestamp, priceUsd } with a price above 0`, 'WARN');
+      continue;
+    }
+    samples.push(sample);
+  }
+
+  return samples.sort((a, b) => Date.parse(a.timestamp) - Date.parse(b.timestamp));
+}
+
+module.exports = { getOutputTokenPriceUSD, getWattPriceUSD, recordPriceSample, loadPriceHistory };
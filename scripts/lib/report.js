@@ -0,0 +1,163 @@
+/**
+ * The report command: ledger entries and cost basis as CSV or JSON.
+ */
+
+const fs = require('fs');
+const { WATT_DECIMALS } = require('./config');
+const { log } = require('./logger');
+const { getFlag, parseDateFlag } = require('./cli');
+const { loadLedger } = require('./ledger');
+const { parseAmount, formatAmount, toUiAmount } = require('./tokens');
+
+// ============================================================================
+// REPORT COMMAND
+// ============================================================================
+
+const LONG_TERM_MS = 365 * 24 * 3_600_000;
+
+// FIFO cost basis per wallet: each claim is a lot valued at the WATT price when claimed,
+// each swap consumes the oldest lots first. Sales beyond the recorded lots have no known basis.
+// Lots are tracked in raw WATT units, so they are used up exactly rather than to within a tolerance.
+function computeCostBasis(entries) {
+  const lotsByWallet = new Map();
+  const rows = [];
+
+  // Ledger amounts are decimal strings; entries written by older versions hold numbers
+  const toRaw = amount => parseAmount(amount, WATT_DECIMALS);
+
+  for (const entry of entries) {
+    if (!lotsByWallet.has(entry.wallet)) {
+      lotsByWallet.set(entry.wallet, []);
+    }
+    const lots = lotsByWallet.get(entry.wallet);
+
+    if (entry.type === 'claim') {
+      // A claim whose amount could not be detected has no lot to track
+      if (entry.amount !== null) {
+        lots.push({ acquiredAt: entry.timestamp, remaining: toRaw(entry.amount), priceUsd: entry.priceUsd });
+      }
+      continue;
+    }
+
+    // Moving WATT to the cold wallet is not a sale, but those lots can no longer be sold from here
+    if (entry.type === 'transfer' && entry.token === 'WATT') {
+      let toMove = toRaw(entry.amount);
+      while (toMove > 0n && lots.length > 0) {
+        const moved = lots[0].remaining < toMove ? lots[0].remaining : toMove;
+        lots[0].remaining -= moved;
+        toMove -= moved;
+        if (lots[0].remaining === 0n) {
+          lots.shift();
+        }
+      }
+      continue;
+    }
+
+    if (entry.type !== 'swap') {
+      continue;
+    }
+
+    // Proceeds are the swap's recorded USD value, shared across the lots by amount
+    const inputAmount = toRaw(entry.inputAmount);
+    const valueUsd = entry.valueUsd === undefined ? null : entry.valueUsd;
+    let toDispose = inputAmount;
+    while (toDispose > 0n) {
+      const lot = lots[0];
+      const amount = lot && lot.remaining < toDispose ? lot.remaining : toDispose;
+      const uiAmount = toUiAmount(amount, WATT_DECIMALS);
+      const proceedsUsd = valueUsd !== null ? (valueUsd * Number(amount)) / Number(inputAmount) : null;
+      const costBasisUsd = lot && lot.priceUsd !== null ? uiAmount * lot.priceUsd : null;
+      const heldMs = lot ? Date.parse(entry.timestamp) - Date.parse(lot.acquiredAt) : null;
+
+      rows.push({
+        soldAt: entry.timestamp,
+        wallet: entry.wallet,
+        signature: entry.signature,
+        amount: formatAmount(amount, WATT_DECIMALS),
+        acquiredAt: lot ? lot.acquiredAt : null,
+        proceedsUsd,
+        costBasisUsd,
+        gainUsd: proceedsUsd !== null && costBasisUsd !== null ? proceedsUsd - costBasisUsd : null,
+        term: heldMs === null ? null : heldMs > LONG_TERM_MS ? 'long' : 'short',
+      });
+
+      toDispose -= amount;
+      if (!lot) {
+        break;
+      }
+      lot.remaining -= amount;
+      if (lot.remaining === 0n) {
+        lots.shift();
+      }
+    }
+  }
+
+  return rows;
+}
+
+function toCsv(rows) {
+  if (rows.length === 0) {
+    return '';
+  }
+
+  const columns = Object.keys(rows[0]);
+  const escape = value => {
+    if (value === null || value === undefined) {
+      return '';
+    }
+    const text = String(value);
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+
+  return [columns.join(','), ...rows.map(row => columns.map(column => escape(row[column])).join(','))].join('\n') + '\n';
+}
+
+async function report() {
+  const from = parseDateFlag('from', false);
+  const to = parseDateFlag('to', true);
+  const format = getFlag('format') || 'csv';
+  const view = getFlag('view') || 'entries';
+  const output = getFlag('output');
+
+  if (!['csv', 'json'].includes(format)) {
+    throw new Error(`Invalid --format: ${format}. Must be csv or json`);
+  }
+  if (!['entries', 'cost-basis'].includes(view)) {
+    throw new Error(`Invalid --view: ${view}. Must be entries or cost-basis`);
+  }
+
+  const inRange = timestamp => {
+    const time = Date.parse(timestamp);
+    return (from === null || time >= from) && (to === null || time <= to);
+  };
+
+  // Cost basis needs the full history to know which lots were already consumed
+  const entries = loadLedger();
+  const rows = view === 'cost-basis'
+    ? computeCostBasis(entries).filter(row => inRange(row.soldAt))
+    : entries.filter(entry => inRange(entry.timestamp)).map(entry => ({
+      timestamp: entry.timestamp,
+      type: entry.type,
+      wallet: entry.wallet,
+      signature: entry.signature,
+      inputAmount: entry.type === 'swap' ? entry.inputAmount : entry.type === 'transfer' ? entry.amount : null,
+      inputToken: entry.type === 'swap' ? entry.inputToken : entry.type === 'transfer' ? entry.token : null,
+      outputAmount: entry.type === 'claim' ? entry.amount : entry.type === 'swap' ? entry.outputAmount : null,
+      outputToken: entry.type === 'claim' ? entry.token : entry.type === 'swap' ? entry.outputToken : null,
+      priceUsd: entry.priceUsd === undefined ? null : entry.priceUsd,
+      valueUsd: entry.valueUsd === undefined ? null : entry.valueUsd,
+      feeLamports: entry.feeLamports,
+      destination: entry.destination || null,
+    }));
+
+  const content = format === 'json' ? JSON.stringify(rows, null, 2) + '\n' : toCsv(rows);
+
+  if (output) {
+    fs.writeFileSync(output, content);
+    log(`Wrote ${rows.length} ${view} row(s) to ${output}`, 'INFO');
+  } else {
+    process.stdout.write(content);
+  }
+}
+
+module.exports = { computeCostBasis, toCsv, report };
@@ -0,0 +1,121 @@
+/**
+ * SOL fee reserve: pre-flight balance check and top-up from claimed WATT.
+ */
+
+const { LAMPORTS_PER_SOL } = require('@solana/web3.js');
+const { getAssociatedTokenAddress, TOKEN_PROGRAM_ID } = require('@solana/spl-token');
+const config = require('./config');
+const {
+  SOL_TOP_UP_MARGIN,
+  BASE_FEE_LAMPORTS,
+  WSOL_ACCOUNT_RENT_LAMPORTS,
+  WATT_ACCOUNT_RENT_LAMPORTS,
+  WATT_MINT,
+  TOKEN_ADDRESSES,
+} = require('./config');
+const { log } = require('./logger');
+const { setMetric } = require('./metrics');
+const { formatWatt } = require('./tokens');
+const { getWattPriceUSD } = require('./pricing');
+const { executeMarketSell } = require('./swap');
+
+// ============================================================================
+// SOL FEE RESERVE
+// ============================================================================
+
+function formatSol(lamports) {
+  return `${(lamports / LAMPORTS_PER_SOL).toFixed(6)} SOL`;
+}
+
+// Worst case cost of the claim (with the rent of the WATT account it creates when the
+// wallet has none) plus, when a reserve is configured, the top-up swap and the rent of
+// the temporary wrapped SOL account Jupiter opens for it
+function requiredFeeLamports(wattAccountMissing = false) {
+  const claimLamports = BASE_FEE_LAMPORTS + config.PRIORITY_FEE_LAMPORTS + (wattAccountMissing ? WATT_ACCOUNT_RENT_LAMPORTS : 0);
+  if (config.SOL_FEE_RESERVE <= 0) {
+    return claimLamports;
+  }
+  return claimLamports + BASE_FEE_LAMPORTS + config.PRIORITY_FEE_LAMPORTS + WSOL_ACCOUNT_RENT_LAMPORTS;
+}
+
+function solReserveDeficit(balanceLamports) {
+  return Math.max(0, Math.round(config.SOL_FEE_RESERVE * LAMPORTS_PER_SOL) - balanceLamports);
+}
+
+// Pre-flight check before anything is sent. Throws if the wallet cannot even pay for the
+// claim (and top-up swap); otherwise returns how many lamports are missing from the reserve.
+async function checkSolReserve(connection, wallet) {
+  const balance = await connection.getBalance(wallet.publicKey, 'confirmed');
+  setMetric('wattbot_sol_balance', { wallet: wallet.publicKey.toBase58() }, balance / LAMPORTS_PER_SOL);
+  const wattAccount = await getAssociatedTokenAddress(WATT_MINT, wallet.publicKey, false, TOKEN_PROGRAM_ID);
+  const required = requiredFeeLamports(!(await connection.getAccountInfo(wattAccount)));
+  log(`SOL balance: ${formatSol(balance)}${config.SOL_FEE_RESERVE > 0 ? ` (reserve ${config.SOL_FEE_RESERVE} SOL)` : ''}`, 'INFO');
+
+  if (balance < required) {
+    log(`❌ SOL balance ${formatSol(balance)} is below the ${formatSol(required)} needed for transaction fees`, 'ERROR');
+    log(`   Send SOL to ${wallet.publicKey.toBase58()} before the next run. Nothing was sent.`, 'ERROR');
+    throw new Error(`Insufficient SOL for fees: ${formatSol(balance)} < ${formatSol(required)}`);
+  }
+
+  const deficit = solReserveDeficit(balance);
+  if (deficit > 0) {
+    log(`SOL balance is ${formatSol(deficit)} below the reserve, claimed WATT will top it up`, 'WARN');
+  }
+  return deficit;
+}
+
+// Swaps just enough claimed WATT (raw) to SOL to cover the deficit. Returns the raw WATT sold.
+async function topUpSolReserve(connection, jupiter, wallet, claimedAmount, deficitLamports, settings) {
+  log('========================================', 'INFO');
+  log(`SOL RESERVE: Topping up ${formatSol(deficitLamports)}`, 'INFO');
+  log('========================================', 'INFO');
+
+  // Fees are a necessity, so the top-up ignores MIN_SELL_PRICE_USD and MIN_OUTPUT_USD (a
+  // top-up is often worth less than the floor). Every other guard still applies, and the
+  // deviation guard needs a reference price, so without one the top-up waits for a later run.
+  const priceUsd = await getWattPriceUSD(jupiter, 0);
+  if (!(priceUsd > 0)) {
+    log('WATT price unavailable, skipping the SOL top-up until a later run', 'WARN');
+    return 0n;
+  }
+
+  // Size the swap from the rate for the whole claimed amount, with a margin for slippage and impact
+  const rateQuote = await jupiter.quote(
+    TOKEN_ADDRESSES.WATT,
+    TOKEN_ADDRESSES.SOL,
+    claimedAmount,
+    settings.slippageBps
+  );
+  // deficit × claimed / quoted lamports × margin, rounded up so the top-up never falls short by a unit
+  const margin = BigInt(Math.round(SOL_TOP_UP_MARGIN * 10_000));
+  const denominator = BigInt(rateQuote.outAmount) * 10_000n;
+  if (denominator === 0n) {
+    throw new Error('Jupiter quoted no SOL for the claimed WATT, cannot size the top-up');
+  }
+  const needed = (BigInt(deficitLamports) * claimedAmount * margin + denominator - 1n) / denominator;
+  const amountToSell = needed < claimedAmount ? needed : claimedAmount;
+
+  if (needed > claimedAmount) {
+    log(`Claimed ${formatWatt(claimedAmount)} WATT only covers part of the deficit, swapping all of it`, 'WARN');
+  }
+  log(`Swapping ${formatWatt(amountToSell)} WATT → SOL for fees`, 'INFO');
+
+  const sell = await executeMarketSell(connection, jupiter, wallet, amountToSell, 'SOL', settings.slippageBps, priceUsd, 0);
+
+  if (!sell) {
+    return amountToSell;
+  }
+  if (sell.rejected) {
+    log(`SOL reserve not restored: ${sell.rejected}`, 'ERROR');
+    return 0n;
+  }
+  return sell.inputAmount;
+}
+
+module.exports = {
+  formatSol,
+  requiredFeeLamports,
+  solReserveDeficit,
+  checkSolReserve,
+  topUpSolReserve,
+};
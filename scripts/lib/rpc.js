@@ -0,0 +1,155 @@
+/**
+ * RPC endpoint pool with health checks and failover. createRpcPool() returns
+ * a drop-in Connection.
+ */
+
+const { Connection } = require('@solana/web3.js');
+const config = require('./config');
+const { redactUrl, log } = require('./logger');
+const { incrementMetric, observeDuration } = require('./metrics');
+const { TRANSIENT_ERROR_PATTERN } = require('./transactions');
+
+// ============================================================================
+// RPC POOL
+// ============================================================================
+
+const RPC_ROLES = ['read', 'discovery', 'send'];
+
+// Errors worth retrying on another endpoint: rate limits, outages and
+// providers that refuse getProgramAccounts
+const RPC_FAILOVER_ERROR_PATTERN = /\b(403|410)\b|-32010|excluded from account secondary indexes|method not (found|supported)/i;
+
+function methodRole(method) {
+  if (method === 'getProgramAccounts') {
+    return 'discovery';
+  }
+  if (method === 'sendRawTransaction' || method === 'sendTransaction') {
+    return 'send';
+  }
+  return 'read';
+}
+
+// RPC_ENDPOINTS entries are separated by commas; "#role+role" limits an endpoint to those roles
+function parseRpcEndpoints() {
+  const entries = (config.RPC_ENDPOINTS || config.RPC_URL).split(/[\s,]+/).filter(Boolean);
+
+  return entries.map(entry => {
+    const [url, roleList] = entry.split('#');
+    const roles = roleList ? roleList.split('+') : RPC_ROLES;
+
+    for (const role of roles) {
+      if (!RPC_ROLES.includes(role)) {
+        throw new Error(`Unknown RPC role "${role}" for ${redactUrl(url)}. Must be one of: ${RPC_ROLES.join(', ')}`);
+      }
+    }
+
+    return {
+      url,
+      label: redactUrl(url),
+      roles,
+      // With several endpoints a 429 should fail over, not sit in web3.js's own retry loop
+      connection: new Connection(url, { commitment: 'confirmed', disableRetryOnRateLimit: entries.length > 1 }),
+      healthy: true,
+      slot: null,
+      latencyMs: null,
+      cooldownUntil: 0,
+    };
+  });
+}
+
+// Returns a Connection look-alike: every method call goes to the best endpoint for its
+// role and fails over to the next one on rate limits and server errors
+function createRpcPool() {
+  const endpoints = parseRpcEndpoints();
+  let lastHealthCheck = 0;
+
+  for (const role of RPC_ROLES) {
+    if (!endpoints.some(endpoint => endpoint.roles.includes(role))) {
+      throw new Error(`No RPC endpoint configured for role "${role}"`);
+    }
+  }
+
+  for (const endpoint of endpoints) {
+    log(`Connecting to RPC: ${endpoint.label}${endpoint.roles.length < RPC_ROLES.length ? ` (${endpoint.roles.join(', ')})` : ''}...`, 'INFO');
+  }
+
+  async function checkHealth() {
+    lastHealthCheck = Date.now();
+
+    await Promise.all(endpoints.map(async endpoint => {
+      const started = Date.now();
+      try {
+        endpoint.slot = await endpoint.connection.getSlot('confirmed');
+        endpoint.latencyMs = Date.now() - started;
+      } catch (error) {
+        endpoint.slot = null;
+        endpoint.latencyMs = null;
+      }
+    }));
+
+    const bestSlot = Math.max(...endpoints.map(endpoint => endpoint.slot || 0));
+    for (const endpoint of endpoints) {
+      const lag = endpoint.slot === null ? null : bestSlot - endpoint.slot;
+      const healthy = lag !== null && lag <= config.RPC_MAX_SLOT_LAG && endpoint.latencyMs <= config.RPC_MAX_LATENCY_MS;
+
+      if (healthy !== endpoint.healthy || endpoint.lastReported === undefined) {
+        log(`RPC ${endpoint.label}: ${healthy ? 'healthy' : 'UNHEALTHY'} (slot lag: ${lag === null ? 'unreachable' : lag}, latency: ${endpoint.latencyMs === null ? '-' : `${endpoint.latencyMs}ms`})`, healthy ? 'INFO' : 'WARN');
+      }
+      endpoint.healthy = healthy;
+      endpoint.lastReported = Date.now();
+    }
+  }
+
+  function candidates(role) {
+    const now = Date.now();
+    const rank = endpoint => (endpoint.healthy && endpoint.cooldownUntil <= now ? 0 : 1);
+    const latency = endpoint => (endpoint.latencyMs === null ? Infinity : endpoint.latencyMs);
+
+    // Unhealthy endpoints stay in the list as a last resort
+    return endpoints
+      .filter(endpoint => endpoint.roles.includes(role))
+      .sort((a, b) => rank(a) - rank(b) || latency(a) - latency(b));
+  }
+
+  async function call(method, args) {
+    if (endpoints.length > 1 && Date.now() - lastHealthCheck > config.RPC_HEALTH_CHECK_INTERVAL_SECONDS * 1000) {
+      await checkHealth();
+    }
+
+    let lastError;
+    for (const endpoint of candidates(methodRole(method))) {
+      const labels = { endpoint: endpoint.label, method };
+      const started = Date.now();
+      try {
+        const value = await endpoint.connection[method](...args);
+        observeDuration('wattbot_rpc_request_duration_seconds', labels, Date.now() - started);
+        return value;
+      } catch (error) {
+        observeDuration('wattbot_rpc_request_duration_seconds', labels, Date.now() - started);
+        incrementMetric('wattbot_rpc_errors_total', labels);
+
+        if (!TRANSIENT_ERROR_PATTERN.test(error.message) && !RPC_FAILOVER_ERROR_PATTERN.test(error.message)) {
+          throw error;
+        }
+
+        lastError = error;
+        endpoint.cooldownUntil = Date.now() + config.RPC_COOLDOWN_SECONDS * 1000;
+        log(`RPC ${endpoint.label} failed ${method} (${error.message}), trying next endpoint`, 'WARN');
+      }
+    }
+
+    throw lastError;
+  }
+
+  return new Proxy(endpoints[0].connection, {
+    get(target, property) {
+      const value = target[property];
+      if (typeof value !== 'function') {
+        return value;
+      }
+      return (...args) => call(property, args);
+    },
+  });
+}
+
+module.exports = { methodRole, parseRpcEndpoints, createRpcPool };
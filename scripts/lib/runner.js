@@ -0,0 +1,589 @@
+/**
+ * Per-wallet claim-and-sell runs, the one-shot run command and daemon mode.
+ */
+
+const { LAMPORTS_PER_SOL } = require('@solana/web3.js');
+const crypto = require('crypto');
+const { CronExpressionParser } = require('cron-parser');
+const config = require('./config');
+const { WATT_DECIMALS } = require('./config');
+const { logContext, setLogContext, log } = require('./logger');
+const { notify, solscanLinks } = require('./notifier');
+const { incrementMetric, setMetric, recordClaimMetrics, startMetricsServer } = require('./metrics');
+const { requestShutdown, isShutdownRequested, setDaemonMode, sleep } = require('./lifecycle');
+const { loadWallet, loadWalletConfigs } = require('./wallet');
+const { createRpcPool } = require('./rpc');
+const {
+  parseAmount,
+  formatAmount,
+  toUiAmount,
+  formatWatt,
+  getWattBalance,
+  verifyWattMint,
+  formatOutputs,
+  addOutput,
+} = require('./tokens');
+const { sendAndConfirmTransaction } = require('./transactions');
+const { getTransactionFee, recordLedgerEntry } = require('./ledger');
+const {
+  selectUserStateAccounts,
+  readClaimableRewards,
+  buildClaimTransaction,
+  getActualClaimedAmount,
+  simulateClaim,
+} = require('./claim');
+const { createJupiterClient } = require('./jupiter');
+const { getWattPriceUSD, recordPriceSample } = require('./pricing');
+const { processPendingSells, resumeTwapSells, getSwapOutput, recordSwapLeg, notifySwap, autoSell } = require('./swap');
+const { buildAtomicTransaction, prepareAtomicClaimAndSell } = require('./atomic');
+const { solReserveDeficit, checkSolReserve, topUpSolReserve } = require('./reserve');
+const { sweepToColdWallet } = require('./sweep');
+const { verifyProgramAccounts } = require('./preflight');
+
+// ============================================================================
+// MAIN EXECUTION
+// ============================================================================
+
+async function recordBalances(connection, wallet) {
+  // getWattBalance updates the WATT gauge itself
+  await getWattBalance(connection, wallet.publicKey);
+  const lamports = await connection.getBalance(wallet.publicKey, 'confirmed');
+  setMetric('wattbot_sol_balance', { wallet: wallet.publicKey.toBase58() }, lamports / LAMPORTS_PER_SOL);
+}
+
+// Decoded wallets and discovered state accounts, reused across daemon runs
+const walletStateCache = new Map();
+
+async function loadWalletState(connection, walletConfig) {
+  const cached = walletStateCache.get(walletConfig.name);
+  if (cached) {
+    log(`Using cached wallet ${cached.wallet.publicKey.toBase58()}`, 'INFO');
+    log(`User state account: ${cached.userStateAccounts.map(account => account.toBase58()).join(', ')} (cached)`, 'INFO');
+    return cached;
+  }
+
+  // Load wallet
+  log('Loading wallet...', 'INFO');
+  const wallet = await loadWallet(walletConfig.signer);
+  log(`Wallet loaded: ${wallet.publicKey.toBase58()} (${wallet.description})`, 'INFO');
+
+  // Find User State Account(s): the only one, the configured one, or all of them
+  const userStateAccounts = await selectUserStateAccounts(connection, wallet.publicKey, walletConfig.stateAccount);
+  log(`User state account: ${userStateAccounts.map(account => account.toBase58()).join(', ')}`, 'INFO');
+
+  const state = { wallet, userStateAccounts };
+  walletStateCache.set(walletConfig.name, state);
+  return state;
+}
+
+async function runWallet(connection, jupiter, walletConfig, result) {
+  const { settings } = walletConfig;
+
+  log('========================================', 'INFO');
+  log(`WALLET: ${walletConfig.name}`, 'INFO');
+  log('========================================', 'INFO');
+
+  setLogContext({ walletName: walletConfig.name, wallet: null, phase: 'discover' });
+  const { wallet, userStateAccounts } = await loadWalletState(connection, walletConfig);
+  result.wallet = wallet.publicKey.toBase58();
+  setLogContext({ wallet: result.wallet });
+  log(`Auto-Sell: ${settings.autoSellEnabled ? `ENABLED (${settings.sellPercentage}% → ${settings.sellToken})` : 'DISABLED'}`, 'INFO');
+  if (config.SWEEP_DESTINATION) {
+    log(`Sweep: above ${config.SWEEP_HOT_WALLET_LIMITS || 'no limits'} → ${config.SWEEP_DESTINATION}`, 'INFO');
+  }
+  if (settings.autoSellEnabled && settings.targetSellPriceUsd > 0) {
+    log(`Limit orders: target $${settings.targetSellPriceUsd.toFixed(6)}`, 'INFO');
+  }
+
+  // Finish sells left over from earlier runs before claiming new rewards
+  if (settings.autoSellEnabled) {
+    setLogContext({ phase: 'swap' });
+    result.pendingSells = await processPendingSells(connection, jupiter, wallet, settings);
+    await resumeTwapSells(connection, jupiter, wallet, settings);
+
+    if (isShutdownRequested()) {
+      result.skipped = 'shutdown requested';
+      return;
+    }
+  }
+
+  for (const userStateAccount of userStateAccounts) {
+    if (userStateAccounts.length > 1) {
+      log(`State account ${userStateAccount.toBase58()}`, 'INFO');
+    }
+    await claimAndSell(connection, jupiter, wallet, userStateAccount, settings, result);
+  }
+
+  // Strategies other than fixed also sell WATT kept on earlier runs, so they still decide when
+  // no claim led to a sell: skipped, below the minimum, or with an unknown claimed amount
+  if (!result.sellDecided && settings.autoSellEnabled && settings.sellStrategy !== 'fixed') {
+    setLogContext({ phase: 'swap' });
+    addSell(result, await autoSell(connection, jupiter, wallet, 0n, settings));
+  }
+
+  // Sweep last, so both the swap proceeds and the kept WATT above the limits move out
+  if (config.SWEEP_DESTINATION) {
+    setLogContext({ phase: 'sweep' });
+    try {
+      result.sweep = await sweepToColdWallet(connection, wallet);
+    } catch (error) {
+      // The claim and sell already happened, so a failed sweep must not hide them in the summary
+      log(`Sweep failed: ${error.message}`, 'ERROR');
+      result.sweep = { error: error.message };
+    }
+  }
+
+  if (config.METRICS_PORT > 0) {
+    await recordBalances(connection, wallet);
+  }
+}
+
+async function claimAndSell(connection, jupiter, wallet, userStateAccount, settings, result) {
+  setLogContext({ phase: 'claim' });
+
+  // Get current WATT balance before claiming
+  const balanceBefore = await getWattBalance(connection, wallet.publicKey);
+  log(`Current WATT balance: ${formatWatt(balanceBefore)} WATT`, 'INFO');
+
+  // ========================================
+  // CHECK PENDING REWARDS
+  // ========================================
+
+  // All WATT amounts from here on are raw base units
+  const minClaimable = parseAmount(config.MIN_CLAIMABLE_WATT, WATT_DECIMALS);
+  let claimable = null;
+  try {
+    ({ claimable } = await readClaimableRewards(connection, wallet.publicKey, userStateAccount));
+    log(`Claimable rewards: ${formatWatt(claimable)} WATT`, 'INFO', { claimable: formatWatt(claimable) });
+  } catch (error) {
+    // A claim without the minimum check may pay a fee for nothing, so it is opt-in
+    if (!config.CLAIM_WITHOUT_REWARDS_CHECK) {
+      log(`❌ Could not read pending rewards, skipping the claim: ${error.message}`, 'ERROR');
+      log('   Run the doctor command, or set CLAIM_WITHOUT_REWARDS_CHECK=true to claim without the minimum check', 'ERROR');
+      await notify('error', { wallet: wallet.publicKey.toBase58(), message: `Claim skipped, pending rewards unreadable: ${error.message}` });
+      result.skipped = 'rewards unreadable';
+      return;
+    }
+    log(`Warning: Could not read pending rewards, claiming without the minimum check (CLAIM_WITHOUT_REWARDS_CHECK): ${error.message}`, 'WARN');
+  }
+
+  if (claimable !== null && claimable < minClaimable) {
+    log(`Claimable ${formatWatt(claimable)} WATT is below minimum ${config.MIN_CLAIMABLE_WATT}. Skipping claim.`, 'INFO');
+    result.skipped = 'below minimum';
+    return;
+  }
+
+  // ========================================
+  // CLAIM REWARDS
+  // ========================================
+
+  // Stops here, before anything is sent, if the wallet cannot pay the fees
+  const reserveDeficit = await checkSolReserve(connection, wallet);
+
+  if (config.ATOMIC_CLAIM_AND_SELL && await claimAndSellAtomic(connection, jupiter, wallet, userStateAccount, settings, claimable, reserveDeficit, result)) {
+    return;
+  }
+
+  if (config.DRY_RUN) {
+    const simulatedClaim = await simulateClaim(connection, wallet, userStateAccount, balanceBefore);
+    result.claimed += simulatedClaim;
+    await notify('claim', { wallet: wallet.publicKey.toBase58(), amount: formatWatt(simulatedClaim), signature: null, link: null });
+
+    // Sell the simulated amount, falling back to the estimate (or MIN_CLAIMABLE_WATT) if the delta was not visible
+    let amount = simulatedClaim > 0n ? simulatedClaim : claimable !== null ? claimable : minClaimable;
+    if (reserveDeficit > 0) {
+      const topUp = await topUpSolReserve(connection, jupiter, wallet, amount, reserveDeficit, settings);
+      result.topUp += topUp;
+      amount -= topUp;
+    }
+    if (settings.autoSellEnabled && amount > 0n) {
+      result.sellDecided = true;
+      addSell(result, await autoSell(connection, jupiter, wallet, amount, settings));
+    }
+    return;
+  }
+
+  // Build and send claim transaction
+  log('Building and sending claim transaction...', 'INFO');
+  const walletLabels = { wallet: wallet.publicKey.toBase58() };
+  incrementMetric('wattbot_claims_attempted_total', walletLabels);
+  let signature;
+  try {
+    signature = await sendAndConfirmTransaction(connection, wallet, async () => {
+      const transaction = await buildClaimTransaction(connection, wallet, userStateAccount);
+      return { transaction, lastValidBlockHeight: transaction.lastValidBlockHeight };
+    }, 'Claim');
+  } catch (error) {
+    incrementMetric('wattbot_claims_failed_total', walletLabels);
+    throw error;
+  }
+  incrementMetric('wattbot_claims_succeeded_total', walletLabels);
+  result.claimSignatures.push(signature);
+
+  // Exact amount from the WATT account's pre/post balances in the transaction meta. A wallet
+  // balance difference is not used as a fallback, since other transfers can land in between.
+  log('Fetching actual claimed amount...', 'INFO');
+  const claimedAmount = await getActualClaimedAmount(connection, signature, wallet.publicKey);
+  result.claimed += claimedAmount === null ? 0n : claimedAmount;
+
+  // Price at claim time is the cost basis for tax reporting
+  const claimPriceUsd = (await getWattPriceUSD(jupiter, settings.minSellPriceUsd)) || null;
+  await recordClaim(wallet, signature, claimedAmount, claimPriceUsd, await getTransactionFee(connection, signature));
+
+  if (claimedAmount === null) {
+    log('Claimed amount unknown. Skipping auto-sell rather than guessing the amount.', 'WARN');
+    return;
+  }
+
+  // Check if claimed amount meets minimum
+  if (claimedAmount < minClaimable) {
+    log(`Claimed amount ${formatWatt(claimedAmount)} is below minimum ${config.MIN_CLAIMABLE_WATT}. Skipping auto-sell.`, 'WARN');
+    return;
+  }
+
+  // ========================================
+  // SOL RESERVE TOP-UP (if configured)
+  // ========================================
+
+  // Re-checked after the claim, since its fee came out of the same balance
+  setLogContext({ phase: 'swap' });
+  let amountForSale = claimedAmount;
+  const deficitAfterClaim = config.SOL_FEE_RESERVE > 0 ? solReserveDeficit(await connection.getBalance(wallet.publicKey, 'confirmed')) : 0;
+  if (deficitAfterClaim > 0) {
+    const topUp = await topUpSolReserve(connection, jupiter, wallet, claimedAmount, deficitAfterClaim, settings);
+    result.topUp += topUp;
+    amountForSale -= topUp;
+  }
+
+  // ========================================
+  // AUTO-SELL (if enabled)
+  // ========================================
+
+  if (settings.autoSellEnabled && amountForSale > 0n) {
+    log('', 'INFO');
+    result.sellDecided = true;
+    addSell(result, await autoSell(connection, jupiter, wallet, amountForSale, settings));
+  }
+}
+
+// Logs, notifies, counts and records a landed claim. claimedAmount is null when it could not be read.
+async function recordClaim(wallet, signature, claimedAmount, priceUsd, feeLamports) {
+  recordClaimMetrics(wallet.publicKey.toBase58(), claimedAmount === null ? 0 : toUiAmount(claimedAmount, WATT_DECIMALS));
+
+  if (claimedAmount !== null) {
+    log(`✅ CLAIM SUCCESS: ${formatWatt(claimedAmount)} WATT`, 'INFO', { signature, amount: formatWatt(claimedAmount) });
+  } else {
+    log(`✅ CLAIM SUCCESS (amount detection failed, check transaction)`, 'WARN', { signature });
+  }
+  log(`Transaction: https://solscan.io/tx/${signature}`, 'INFO');
+  await notify('claim', { wallet: wallet.publicKey.toBase58(), amount: claimedAmount === null ? 'unknown' : formatWatt(claimedAmount), signature, link: solscanLinks([signature]) });
+
+  recordLedgerEntry({
+    type: 'claim',
+    wallet: wallet.publicKey.toBase58(),
+    signature,
+    amount: claimedAmount === null ? null : formatWatt(claimedAmount),
+    token: 'WATT',
+    priceUsd,
+    valueUsd: priceUsd && claimedAmount !== null ? toUiAmount(claimedAmount, WATT_DECIMALS) * priceUsd : null,
+    feeLamports,
+  });
+}
+
+// Claims and sells in one transaction (ATOMIC_CLAIM_AND_SELL). Returns false, with nothing
+// sent, when this run cannot use it; claimAndSell then continues with the two-step flow.
+async function claimAndSellAtomic(connection, jupiter, wallet, userStateAccount, settings, claimable, reserveDeficit, result) {
+  let plan;
+  try {
+    plan = await prepareAtomicClaimAndSell(connection, jupiter, wallet, userStateAccount, settings, claimable, reserveDeficit);
+  } catch (error) {
+    plan = { reason: error.message };
+  }
+  if (plan.reason) {
+    log(`Atomic claim-and-sell not used: ${plan.reason}. Claiming and selling in two steps.`, 'INFO');
+    return false;
+  }
+
+  const { leg, priceUsd } = plan;
+  result.sellDecided = true;
+
+  if (config.DRY_RUN) {
+    result.claimed += plan.simulatedClaim;
+    const output = `${formatAmount(leg.outputAmount, leg.token.decimals)} ${leg.token.symbol}`;
+    log(`✅ DRY RUN: Would claim ${formatWatt(plan.simulatedClaim)} WATT and sell ${formatWatt(leg.inputAmount)} WATT → ${output} in one transaction`, 'INFO');
+    await notify('claim', { wallet: wallet.publicKey.toBase58(), amount: formatWatt(plan.simulatedClaim), signature: null, link: null });
+    return true;
+  }
+
+  log('Building and sending claim and swap transaction...', 'INFO');
+  const walletLabels = { wallet: wallet.publicKey.toBase58() };
+  incrementMetric('wattbot_claims_attempted_total', walletLabels);
+  let signature;
+  try {
+    signature = await sendAndConfirmTransaction(connection, wallet, () =>
+      buildAtomicTransaction(connection, wallet, plan.instructions, plan.lookupTables), 'Claim and swap');
+  } catch (error) {
+    incrementMetric('wattbot_claims_failed_total', walletLabels);
+    throw error;
+  }
+  incrementMetric('wattbot_claims_succeeded_total', walletLabels);
+  result.claimSignatures.push(signature);
+
+  // The WATT account's change is the claim minus the swap input, which an exact-in swap spends in full
+  log('Fetching actual claimed amount...', 'INFO');
+  const netAmount = await getActualClaimedAmount(connection, signature, wallet.publicKey);
+  const claimedAmount = netAmount === null ? null : netAmount + leg.inputAmount;
+  result.claimed += claimedAmount === null ? 0n : claimedAmount;
+
+  // One fee for both; it is recorded with the claim
+  const { outputAmount, feeLamports } = await getSwapOutput(connection, signature, wallet.publicKey, leg);
+  await recordClaim(wallet, signature, claimedAmount, priceUsd || null, feeLamports);
+  const fill = await recordSwapLeg(jupiter, wallet, { ...leg, outputAmount }, signature, priceUsd, 0);
+
+  const outputs = addOutput({}, fill.outputToken, fill.outputAmount, fill.decimals);
+  const keptAmount = claimedAmount === null ? 0n : claimedAmount - fill.inputAmount;
+  log(`   Kept in wallet: ${formatWatt(keptAmount)} WATT`, 'INFO');
+  await notifySwap(wallet, fill.inputAmount, outputs, keptAmount, [signature]);
+
+  addSell(result, { type: 'swap', signatures: [signature], inputAmount: fill.inputAmount, outputs, keptAmount });
+  return true;
+}
+
+// A wallet with several state accounts can sell once per claim
+function addSell(result, sell) {
+  if (sell) {
+    result.sells.push(sell);
+  }
+}
+
+function logRunSummary(results) {
+  log('========================================', 'INFO');
+  log('RUN SUMMARY', 'INFO');
+  log('========================================', 'INFO');
+
+  for (const result of results) {
+    const label = result.wallet ? `${result.name} (${result.wallet})` : result.name;
+
+    if (result.error) {
+      log(`❌ ${label}: FAILED - ${result.error}`, 'ERROR');
+      continue;
+    }
+
+    // With several state accounts, one may be skipped while another is claimed
+    const parts = [result.skipped && result.claimed === 0n ? `claim skipped (${result.skipped})` : `${config.DRY_RUN ? 'would claim' : 'claimed'} ${formatWatt(result.claimed)} WATT`];
+    for (const sell of result.sells) {
+      if (sell.type === 'swap' || sell.type === 'twap') {
+        parts.push(`sold ${formatWatt(sell.inputAmount)} WATT → ${formatOutputs(sell.outputs)}`);
+      } else if (sell.type === 'rejected') {
+        parts.push(`sell rejected (${sell.reason})`);
+      } else if (sell.type === 'queued') {
+        parts.push(`queued ${formatWatt(sell.inputAmount)} WATT at $${sell.targetPriceUSD.toFixed(6)}`);
+      }
+    }
+    if (result.topUp > 0n) {
+      parts.push(`${config.DRY_RUN ? 'would swap' : 'swapped'} ${formatWatt(result.topUp)} WATT → SOL for fees`);
+    }
+    if (result.pendingSells.length > 0) {
+      parts.push(`filled ${result.pendingSells.length} limit order(s)`);
+    }
+    if (result.sweep && result.sweep.error) {
+      parts.push(`sweep failed (${result.sweep.error})`);
+    } else if (result.sweep) {
+      parts.push(`swept ${formatOutputs(result.sweep.outputs)}`);
+    }
+    log(`✅ ${label}: ${parts.join(', ')}`, 'INFO');
+  }
+
+  const totalClaimed = results.reduce((sum, result) => sum + result.claimed, 0n);
+  const failed = results.filter(result => result.error).length;
+  log(`Total claimed: ${formatWatt(totalClaimed)} WATT across ${results.length} wallet(s), ${failed} failed`, 'INFO');
+}
+
+async function runAllWallets(connection, jupiter, walletConfigs) {
+  // Every log line of this run carries the same ID, so one run can be followed across wallets
+  setLogContext({ runId: crypto.randomBytes(4).toString('hex'), walletName: null, wallet: null, phase: null });
+  log(`Run ${logContext.runId} started`, 'INFO');
+  await verifyWattMint(connection);
+  await verifyProgramAccounts(connection);
+
+  // One price sample per run, taken before any wallet decides on a sell, so the strategies
+  // and the backtest see evenly spaced history
+  setLogContext({ phase: 'price' });
+  const priceUsd = await getWattPriceUSD(jupiter);
+  if (priceUsd > 0) {
+    recordPriceSample(priceUsd);
+  }
+  setLogContext({ phase: null });
+
+  // One wallet failing must not stop the others
+  const results = [];
+  for (const walletConfig of walletConfigs) {
+    // Stop between wallets, never between a claim and its sell
+    if (isShutdownRequested()) {
+      log(`Shutdown requested, skipping remaining wallets`, 'WARN');
+      break;
+    }
+
+    const result = { name: walletConfig.name, wallet: null, claimed: 0n, claimSignatures: [], sells: [], sellDecided: false, topUp: 0n, pendingSells: [], sweep: null, skipped: null, error: null };
+
+    try {
+      await runWallet(connection, jupiter, walletConfig, result);
+    } catch (error) {
+      result.error = error.message;
+      log(`❌ ERROR [${walletConfig.name}]: ${error.message}`, 'ERROR', { error: error.message });
+      log(error.stack, 'ERROR');
+      await notify('error', { wallet: result.wallet || walletConfig.name, message: error.message });
+
+      // Rediscover the state account next time in case it was the cause
+      walletStateCache.delete(walletConfig.name);
+    }
+
+    results.push(result);
+  }
+
+  setLogContext({ walletName: null, wallet: null, phase: null });
+  logRunSummary(results);
+
+  incrementMetric('wattbot_runs_total', { result: results.some(result => result.error) ? 'failure' : 'success' });
+  setMetric('wattbot_last_run_timestamp_seconds', {}, Math.floor(Date.now() / 1000));
+  return results;
+}
+
+function logStartup(title) {
+  log('========================================', 'INFO');
+  log(title, 'INFO');
+  log(`Mode: ${config.DRY_RUN ? 'DRY RUN' : 'LIVE'}`, 'INFO');
+  log('========================================', 'INFO');
+}
+
+function connect(walletConfigs) {
+  log(`Wallets configured: ${walletConfigs.length}${config.WALLETS_FILE ? ` (from ${config.WALLETS_FILE})` : ''}`, 'INFO');
+
+  return createRpcPool();
+}
+
+async function main() {
+  logStartup('Auto-Claim and Auto-Sell Script Started');
+
+  let results;
+
+  try {
+    const walletConfigs = loadWalletConfigs();
+    const connection = connect(walletConfigs);
+    const jupiter = createJupiterClient();
+
+    results = await runAllWallets(connection, jupiter, walletConfigs);
+  } catch (error) {
+    log(`❌ ERROR: ${error.message}`, 'ERROR');
+    log(error.stack, 'ERROR');
+    await notify('error', { wallet: 'all wallets', message: error.message });
+    process.exit(1);
+  }
+
+  if (config.DRY_RUN) {
+    log('To execute for real, run: DRY_RUN=false node scripts/autoClaimAndSell.js', 'INFO');
+  }
+
+  if (results.some(result => result.error)) {
+    log('Script completed with errors', 'ERROR');
+    process.exit(1);
+  }
+
+  log('========================================', 'INFO');
+  log('Script Completed Successfully', 'INFO');
+  log('========================================', 'INFO');
+}
+
+// ============================================================================
+// DAEMON MODE
+// ============================================================================
+
+function nextScheduledRun(now) {
+  const base = config.DAEMON_CRON
+    ? CronExpressionParser.parse(config.DAEMON_CRON, { currentDate: now }).next().getTime()
+    : now.getTime() + config.DAEMON_INTERVAL_MINUTES * 60_000;
+
+  // Jitter keeps several bots from hitting the RPC and Jupiter at the same second
+  return base + Math.floor(Math.random() * config.DAEMON_JITTER_SECONDS * 1000);
+}
+
+function backoffDelay(consecutiveFailures) {
+  const delay = config.DAEMON_BACKOFF_BASE_SECONDS * 1000 * 2 ** (consecutiveFailures - 1);
+  return Math.min(delay, config.DAEMON_MAX_BACKOFF_MINUTES * 60_000);
+}
+
+async function daemon() {
+  logStartup('Auto-Claim and Auto-Sell Daemon Started');
+  setDaemonMode(true);
+
+  // DAEMON_CRON and DAEMON_INTERVAL_MINUTES were checked by validateConfig()
+  if (config.DAEMON_CRON) {
+    log(`Schedule: cron "${config.DAEMON_CRON}" + up to ${config.DAEMON_JITTER_SECONDS}s jitter`, 'INFO');
+  } else {
+    log(`Schedule: every ${config.DAEMON_INTERVAL_MINUTES} minute(s) + up to ${config.DAEMON_JITTER_SECONDS}s jitter`, 'INFO');
+  }
+
+  process.on('SIGINT', () => requestShutdown('SIGINT'));
+  process.on('SIGTERM', () => requestShutdown('SIGTERM'));
+
+  const walletConfigs = loadWalletConfigs();
+  const connection = connect(walletConfigs);
+  const jupiter = createJupiterClient();
+  const metricsServer = config.METRICS_PORT > 0 ? startMetricsServer() : null;
+  let consecutiveFailures = 0;
+
+  while (!isShutdownRequested()) {
+    let failed;
+    try {
+      const results = await runAllWallets(connection, jupiter, walletConfigs);
+      failed = results.some(result => result.error);
+    } catch (error) {
+      log(`❌ ERROR: ${error.message}`, 'ERROR');
+      log(error.stack, 'ERROR');
+      await notify('error', { wallet: 'all wallets', message: error.message });
+      failed = true;
+    }
+
+    if (isShutdownRequested()) {
+      break;
+    }
+
+    let delay;
+    if (failed) {
+      consecutiveFailures++;
+      delay = backoffDelay(consecutiveFailures);
+      log(`Run failed (${consecutiveFailures} in a row), backing off for ${Math.round(delay / 1000)}s`, 'WARN');
+    } else {
+      consecutiveFailures = 0;
+      delay = Math.max(0, nextScheduledRun(new Date()) - Date.now());
+    }
+
+    log(`Next run at ${new Date(Date.now() + delay).toISOString()}`, 'INFO');
+    await sleep(delay);
+  }
+
+  if (metricsServer) {
+    metricsServer.close();
+  }
+
+  log('========================================', 'INFO');
+  log('Daemon Stopped', 'INFO');
+  log('========================================', 'INFO');
+}
+
+module.exports = {
+  recordBalances,
+  loadWalletState,
+  runWallet,
+  claimAndSell,
+  recordClaim,
+  claimAndSellAtomic,
+  logRunSummary,
+  runAllWallets,
+  logStartup,
+  connect,
+  main,
+  nextScheduledRun,
+  backoffDelay,
+  daemon,
+};
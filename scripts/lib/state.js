@@ -0,0 +1,35 @@
+/**
+ * JSON state files under data/.
+ */
+
+const fs = require('fs');
+const { DATA_DIR } = require('./config');
+
+// ============================================================================
+// LOCAL STATE FILES
+// ============================================================================
+
+function readStateFile(filePath, fallback) {
+  if (!fs.existsSync(filePath)) {
+    return fallback;
+  }
+
+  try {
+    return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    throw new Error(`Failed to read ${filePath}: ${error.message}`);
+  }
+}
+
+function writeStateFile(filePath, value) {
+  if (!fs.existsSync(DATA_DIR)) {
+    fs.mkdirSync(DATA_DIR, { recursive: true });
+  }
+
+  // Write to a temp file first so a crash never leaves a truncated file behind
+  const tmpFile = `${filePath}.tmp`;
+  fs.writeFileSync(tmpFile, JSON.stringify(value, null, 2));
+  fs.renameSync(tmpFile, filePath);
+}
+
+module.exports = { readStateFile, writeStateFile };
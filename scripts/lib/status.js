@@ -0,0 +1,76 @@
+/**
+ * The status command: decoded on-chain state for every wallet.
+ */
+
+const config = require('./config');
+const { GLOBAL_CONFIG_PDA } = require('./config');
+const { log } = require('./logger');
+const { loadWallet, loadWalletConfigs } = require('./wallet');
+const { createRpcPool } = require('./rpc');
+const { formatWatt, getWattBalance, verifyWattMint } = require('./tokens');
+const { selectUserStateAccounts, readClaimableRewards } = require('./claim');
+const { loadPendingSells } = require('./swap');
+
+// ============================================================================
+// STATUS COMMAND
+// ============================================================================
+
+async function showWalletStatus(connection, walletConfig) {
+  const wallet = await loadWallet(walletConfig.signer);
+
+  const userStateAccounts = await selectUserStateAccounts(connection, wallet.publicKey, walletConfig.stateAccount);
+  const balance = await getWattBalance(connection, wallet.publicKey);
+  const pendingSells = loadPendingSells().filter(order => order.wallet === wallet.publicKey.toBase58());
+
+  log('========================================', 'INFO');
+  log(`CodeGame Account Status: ${walletConfig.name}`, 'INFO');
+  log('========================================', 'INFO');
+  log(`Wallet:              ${wallet.publicKey.toBase58()}`, 'INFO');
+
+  let globalConfig = null;
+  for (const userStateAccount of userStateAccounts) {
+    const state = await readClaimableRewards(connection, wallet.publicKey, userStateAccount);
+    const { userState, claimable } = state;
+    globalConfig = state.globalConfig;
+
+    const lastClaim = userState.lastClaimTime > 0
+      ? new Date(userState.lastClaimTime * 1000).toISOString()
+      : 'never';
+
+    log(`User state account:  ${userStateAccount.toBase58()}`, 'INFO');
+    log(`  Owner:             ${userState.owner.toBase58()}`, 'INFO');
+    log(`  Hash power:        ${userState.hashPower}`, 'INFO');
+    log(`  Last claim:        ${lastClaim}`, 'INFO');
+    log(`  Accrued rewards:   ${formatWatt(userState.accruedRewards)} WATT`, 'INFO');
+    log(`  Claimable now:     ${formatWatt(claimable)} WATT (minimum ${config.MIN_CLAIMABLE_WATT})`, 'INFO');
+  }
+
+  log(`Global config:       ${GLOBAL_CONFIG_PDA.toBase58()}`, 'INFO');
+  log(`  Authority:         ${globalConfig.authority.toBase58()}`, 'INFO');
+  log(`  Reward rate:       ${formatWatt(globalConfig.rewardRatePerSecond)} WATT/sec`, 'INFO');
+  log(`  Total hash power:  ${globalConfig.totalHashPower}`, 'INFO');
+  log(`WATT balance:        ${formatWatt(balance)} WATT`, 'INFO');
+  log(`Pending limit sells: ${pendingSells.length}`, 'INFO');
+}
+
+async function status() {
+  const walletConfigs = loadWalletConfigs();
+  const connection = createRpcPool();
+  await verifyWattMint(connection);
+  let failed = false;
+
+  for (const walletConfig of walletConfigs) {
+    try {
+      await showWalletStatus(connection, walletConfig);
+    } catch (error) {
+      failed = true;
+      log(`❌ ERROR [${walletConfig.name}]: ${error.message}`, 'ERROR');
+    }
+  }
+
+  if (failed) {
+    process.exit(1);
+  }
+}
+
+module.exports = { showWalletStatus, status };
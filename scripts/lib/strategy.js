@@ -0,0 +1,164 @@
+/**
+ * Sell strategies: how much WATT to sell on a run, decided from the current price and the
+ * recorded price history.
+ */
+
+const config = require('./config');
+const { STRATEGY_STATE_FILE, parseLadderLevels } = require('./config');
+const { readStateFile, writeStateFile } = require('./state');
+const { percentOf, getWattBalance } = require('./tokens');
+const { loadPriceHistory } = require('./pricing');
+
+// ============================================================================
+// STRATEGIES
+// ============================================================================
+
+// Each strategy gets { priceUsd, timestamp, history, claimed, held, sellPercentage, state, options }
+// and returns { amount, reason }. history holds the samples up to and including the current one,
+// held is all the WATT available (claimed plus kept earlier), and state is the strategy's
+// saved state for the wallet, changed in place.
+const STRATEGIES = {
+  // AUTO_SELL_PERCENTAGE of the WATT just claimed; WATT kept on earlier runs stays kept
+  fixed({ claimed, sellPercentage }) {
+    return { amount: percentOf(claimed, sellPercentage), reason: `${sellPercentage}% of the claimed WATT` };
+  },
+
+  // A level sells its percentage of the WATT held when the price reaches it, and only fires
+  // again after the price has dropped back below it
+  ladder({ priceUsd, held, state, options }) {
+    const fired = new Set((state.firedLevels || []).filter(levelPrice => priceUsd >= levelPrice));
+    const reached = options.ladderLevels.filter(level => priceUsd >= level.priceUsd && !fired.has(level.priceUsd));
+    for (const level of reached) {
+      fired.add(level.priceUsd);
+    }
+    state.firedLevels = [...fired].sort((a, b) => a - b);
+
+    if (reached.length === 0) {
+      return { amount: 0n, reason: `no new ladder level reached at $${priceUsd.toFixed(6)}` };
+    }
+    // Two decimals, so float sums such as 0.1 + 0.2 do not leak into the amount
+    const percent = Math.min(100, Math.round(reached.reduce((sum, level) => sum + level.percent, 0) * 100) / 100);
+    const levels = reached.map(level => `$${level.priceUsd}`).join(', ');
+    return { amount: percentOf(held, percent), reason: `ladder level${reached.length > 1 ? 's' : ''} ${levels} reached, selling ${percent}% of the WATT held` };
+  },
+
+  // Sells AUTO_SELL_PERCENTAGE of the WATT held once the price falls TRAILING_STOP_PCT below the
+  // highest recorded price, then waits for a new high before it sells again
+  'trailing-stop'({ priceUsd, timestamp, history, held, sellPercentage, state, options }) {
+    const since = options.trailingStopLookbackHours > 0
+      ? Date.parse(timestamp) - options.trailingStopLookbackHours * 3_600_000
+      : -Infinity;
+    const high = history
+      .filter(sample => Date.parse(sample.timestamp) >= since)
+      .reduce((max, sample) => Math.max(max, sample.priceUsd), priceUsd);
+    const stopPriceUsd = high * (1 - options.trailingStopPct / 100);
+
+    if (priceUsd > stopPriceUsd) {
+      return { amount: 0n, reason: `$${priceUsd.toFixed(6)} is above the $${stopPriceUsd.toFixed(6)} stop (${options.trailingStopPct}% below the $${high.toFixed(6)} high)` };
+    }
+    if (state.stoppedAtHighUsd === high) {
+      return { amount: 0n, reason: `the stop below the $${high.toFixed(6)} high has already sold` };
+    }
+    state.stoppedAtHighUsd = high;
+    return { amount: percentOf(held, sellPercentage), reason: `$${priceUsd.toFixed(6)} hit the stop ${options.trailingStopPct}% below the $${high.toFixed(6)} high, selling ${sellPercentage}% of the WATT held` };
+  },
+
+  // Sells AUTO_SELL_PERCENTAGE of the WATT held whenever the price is above the average of
+  // the last MOVING_AVERAGE_SAMPLES samples
+  'moving-average'({ priceUsd, history, held, sellPercentage, options }) {
+    const samples = history.slice(-options.movingAverageSamples);
+    if (samples.length < options.movingAverageSamples) {
+      return { amount: 0n, reason: `only ${samples.length} of ${options.movingAverageSamples} price samples recorded` };
+    }
+
+    const averageUsd = samples.reduce((sum, sample) => sum + sample.priceUsd, 0) / samples.length;
+    if (priceUsd <= averageUsd) {
+      return { amount: 0n, reason: `$${priceUsd.toFixed(6)} is not above the ${samples.length}-sample average of $${averageUsd.toFixed(6)}` };
+    }
+    return { amount: percentOf(held, sellPercentage), reason: `$${priceUsd.toFixed(6)} is above the ${samples.length}-sample average of $${averageUsd.toFixed(6)}, selling ${sellPercentage}% of the WATT held` };
+  },
+};
+
+// Strategy parameters from the configuration
+function strategyOptions() {
+  return {
+    ladderLevels: parseLadderLevels(config.LADDER_LEVELS),
+    trailingStopPct: config.TRAILING_STOP_PCT,
+    trailingStopLookbackHours: config.TRAILING_STOP_LOOKBACK_HOURS,
+    movingAverageSamples: config.MOVING_AVERAGE_SAMPLES,
+  };
+}
+
+// Runs one strategy without touching the chain or any file, so live runs and backtests share it
+function decideSell(strategy, context) {
+  const decide = STRATEGIES[strategy];
+  if (!decide) {
+    throw new Error(`Unknown sell strategy: ${strategy}. Must be ${Object.keys(STRATEGIES).join(', ')}`);
+  }
+  if (strategy === 'ladder' && context.options.ladderLevels.length === 0) {
+    throw new Error('LADDER_LEVELS must be set for the ladder strategy');
+  }
+  return decide(context);
+}
+
+// ============================================================================
+// STRATEGY STATE
+// ============================================================================
+
+// { wallet: { strategy: state } }, so switching strategies never mixes their state
+function loadStrategyState(walletPubkey, strategy) {
+  const states = readStateFile(STRATEGY_STATE_FILE, {});
+  return { ...((states[walletPubkey.toBase58()] || {})[strategy] || {}) };
+}
+
+function saveStrategyState(walletPubkey, strategy, state) {
+  if (config.DRY_RUN) {
+    return;
+  }
+
+  const states = readStateFile(STRATEGY_STATE_FILE, {});
+  const key = walletPubkey.toBase58();
+  states[key] = { ...(states[key] || {}), [strategy]: state };
+  writeStateFile(STRATEGY_STATE_FILE, states);
+}
+
+// The sell decision for a live or dry run. Strategies other than fixed size the sell from all
+// the WATT in the wallet, less `reserved`: WATT that queued limit orders and unfinished TWAP
+// plans will sell later. The returned state is saved with saveStrategyState() once the sell
+// has gone through, so a sell that fails does not count as done.
+async function decideSellAmount(connection, wallet, claimed, priceUsd, settings, reserved = 0n) {
+  const strategy = settings.sellStrategy;
+  if (strategy === 'fixed') {
+    return { ...decideSell(strategy, { claimed, sellPercentage: settings.sellPercentage }), held: claimed, state: {} };
+  }
+
+  // A dry run's claim was only simulated, so it is not in the balance yet
+  const balance = await getWattBalance(connection, wallet.publicKey);
+  const total = config.DRY_RUN ? balance + claimed : balance;
+  const held = total > reserved ? total - reserved : 0n;
+  const state = loadStrategyState(wallet.publicKey, strategy);
+  if (!(priceUsd > 0)) {
+    return { amount: 0n, reason: 'no WATT price to decide on', held, state };
+  }
+
+  const decision = decideSell(strategy, {
+    priceUsd,
+    timestamp: new Date().toISOString(),
+    history: loadPriceHistory(),
+    claimed,
+    held,
+    sellPercentage: settings.sellPercentage,
+    state,
+    options: strategyOptions(),
+  });
+  return { ...decision, held, state };
+}
+
+module.exports = {
+  STRATEGIES,
+  strategyOptions,
+  decideSell,
+  loadStrategyState,
+  saveStrategyState,
+  decideSellAmount,
+};
@@ -0,0 +1,816 @@
+/**
+ * Selling claimed WATT via Jupiter: market sells split across output tokens,
+ * quote guards, limit orders (pending sell queue) and TWAP sells.
+ */
+
+const { PublicKey, VersionedTransaction } = require('@solana/web3.js');
+const { getAssociatedTokenAddress, TOKEN_PROGRAM_ID } = require('@solana/spl-token');
+const config = require('./config');
+const {
+  WATT_MINT,
+  WATT_DECIMALS,
+  SWAP_COMPUTE_UNIT_ESTIMATE,
+  TOKEN_ADDRESSES,
+  PENDING_SELLS_FILE,
+  TWAP_SELLS_FILE,
+  parseSellAllocation,
+} = require('./config');
+const { setLogContext, log } = require('./logger');
+const { notify, solscanLinks } = require('./notifier');
+const { incrementMetric } = require('./metrics');
+const { readStateFile, writeStateFile } = require('./state');
+const { isShutdownRequested, isDaemonMode, sleep } = require('./lifecycle');
+const {
+  formatAmount,
+  percentOf,
+  parseStoredAmount,
+  toUiAmount,
+  formatWatt,
+  getWattBalance,
+  resolveToken,
+  formatOutputs,
+  addOutput,
+} = require('./tokens');
+const {
+  sendAndConfirmTransaction,
+  getPriorityFeeMicroLamports,
+  simulate,
+  logSimulation,
+} = require('./transactions');
+const { recordLedgerEntry } = require('./ledger');
+const { simulatedWattBalance } = require('./claim');
+const { getOutputTokenPriceUSD, getWattPriceUSD } = require('./pricing');
+const { decideSellAmount, saveStrategyState } = require('./strategy');
+
+// ============================================================================
+// PENDING SELL QUEUE (LIMIT ORDERS)
+// ============================================================================
+
+// Order amounts are raw WATT, stored as strings
+function loadPendingSells() {
+  return readStateFile(PENDING_SELLS_FILE, []).map(order => ({ ...order, amount: parseStoredAmount(order.amount, WATT_DECIMALS) }));
+}
+
+function savePendingSells(queue) {
+  writeStateFile(PENDING_SELLS_FILE, queue.map(order => ({ ...order, amount: order.amount.toString() })));
+}
+
+function queuePendingSell(walletPubkey, amount, settings) {
+  const now = new Date();
+  const outputToken = settings.sellToken;
+  const order = {
+    id: `${now.getTime()}-${Math.random().toString(36).slice(2, 8)}`,
+    wallet: walletPubkey.toBase58(),
+    amount,
+    outputToken,
+    targetPriceUSD: settings.targetSellPriceUsd,
+    createdAt: now.toISOString(),
+    expiresAt: config.LIMIT_ORDER_EXPIRY_HOURS > 0
+      ? new Date(now.getTime() + config.LIMIT_ORDER_EXPIRY_HOURS * 3_600_000).toISOString()
+      : null,
+  };
+
+  if (config.DRY_RUN) {
+    log(`✅ DRY RUN: Would queue limit order: ${formatWatt(amount)} WATT → ${outputToken} at $${order.targetPriceUSD.toFixed(6)}`, 'INFO');
+    return order;
+  }
+
+  const queue = loadPendingSells();
+  queue.push(order);
+  savePendingSells(queue);
+
+  log(`Queued limit order ${order.id}: ${formatWatt(amount)} WATT → ${outputToken} at $${order.targetPriceUSD.toFixed(6)}`, 'INFO');
+  if (order.expiresAt) {
+    log(`   Expires: ${order.expiresAt} (then: ${config.LIMIT_ORDER_EXPIRY_ACTION})`, 'INFO');
+  }
+
+  return order;
+}
+
+// WATT of the wallet that queued limit orders and unfinished TWAP plans will still sell,
+// so a sell strategy does not sell it a second time
+function reservedWatt(walletPubkey) {
+  const address = walletPubkey.toBase58();
+  const queued = loadPendingSells()
+    .filter(order => order.wallet === address)
+    .reduce((sum, order) => sum + order.amount, 0n);
+  const twap = loadTwapSells()
+    .filter(plan => plan.wallet === address)
+    .reduce((sum, plan) => sum + parseStoredAmount(plan.totalAmount, WATT_DECIMALS) - parseStoredAmount(plan.soldAmount, WATT_DECIMALS), 0n);
+  return queued + twap;
+}
+
+async function processPendingSells(connection, jupiter, wallet, settings) {
+  const walletAddress = wallet.publicKey.toBase58();
+  const allOrders = loadPendingSells();
+  const queue = allOrders.filter(order => order.wallet === walletAddress);
+  const otherOrders = allOrders.filter(order => order.wallet !== walletAddress);
+  if (queue.length === 0) {
+    return [];
+  }
+
+  log('========================================', 'INFO');
+  log(`PENDING SELLS: ${queue.length} queued limit order(s)`, 'INFO');
+  log('========================================', 'INFO');
+
+  const currentPriceUSD = await getWattPriceUSD(jupiter, settings.minSellPriceUsd);
+  if (currentPriceUSD) {
+    log(`Current WATT price: $${currentPriceUSD.toFixed(6)} USD`, 'INFO', { priceUsd: currentPriceUSD });
+  } else {
+    log('WATT price unavailable, only expired orders will be handled', 'WARN');
+  }
+
+  const now = Date.now();
+  const remaining = [];
+  const results = [];
+
+  for (const order of queue) {
+    const targetReached = currentPriceUSD > 0 && currentPriceUSD >= order.targetPriceUSD;
+    const expired = order.expiresAt !== null && now >= Date.parse(order.expiresAt);
+
+    if (!targetReached && !expired) {
+      log(`Order ${order.id}: waiting for $${order.targetPriceUSD.toFixed(6)} (${formatWatt(order.amount)} WATT)`, 'INFO');
+      remaining.push(order);
+      continue;
+    }
+
+    if (!targetReached) {
+      if (config.LIMIT_ORDER_EXPIRY_ACTION !== 'market') {
+        log(`Order ${order.id}: expired without reaching target. Cancelling.`, 'WARN');
+        continue;
+      }
+
+      // Expired orders fall back to a market sell, but never below the hard floor
+      if (settings.minSellPriceUsd > 0 && currentPriceUSD < settings.minSellPriceUsd) {
+        log(`Order ${order.id}: expired, but price is below minimum $${settings.minSellPriceUsd.toFixed(6)}. Keeping queued.`, 'WARN');
+        remaining.push(order);
+        continue;
+      }
+
+      log(`Order ${order.id}: expired without reaching target. Falling back to market sell.`, 'WARN');
+    } else {
+      log(`Order ${order.id}: target $${order.targetPriceUSD.toFixed(6)} reached`, 'INFO');
+    }
+
+    try {
+      // Tokens may have been moved out of the wallet since the order was queued. A failed
+      // balance lookup throws, so the order stays queued rather than being dropped.
+      const balance = await getWattBalance(connection, wallet.publicKey);
+      const amountToSell = order.amount < balance ? order.amount : balance;
+      if (amountToSell === 0n) {
+        log(`Order ${order.id}: no WATT left in wallet to sell. Dropping order.`, 'WARN');
+        continue;
+      }
+
+      const result = await executeMarketSell(connection, jupiter, wallet, amountToSell, order.outputToken, settings.slippageBps, currentPriceUSD);
+      if (result && result.rejected) {
+        log(`Order ${order.id}: keeping queued, swap rejected`, 'WARN');
+        remaining.push(order);
+      } else if (result) {
+        results.push({ type: 'limit', orderId: order.id, inputAmount: amountToSell, outputToken: order.outputToken, ...result });
+        await notifySwap(wallet, result.inputAmount, result.outputs, order.amount - result.inputAmount, result.fills.map(fill => fill.signature));
+      } else {
+        remaining.push(order);
+      }
+    } catch (error) {
+      log(`Order ${order.id}: sell failed, will retry next run: ${error.message}`, 'ERROR');
+      remaining.push(order);
+    }
+  }
+
+  if (!config.DRY_RUN) {
+    savePendingSells([...otherOrders, ...remaining]);
+  }
+
+  log(`Pending sells remaining: ${remaining.length}`, 'INFO');
+  return results;
+}
+
+// ============================================================================
+// SIMULATION (DRY RUN)
+// ============================================================================
+
+async function simulateSwap(connection, jupiter, wallet, quote, amountToSell, token) {
+  log('DRY RUN: Building swap transaction for simulation...', 'INFO');
+  const { transaction } = await buildSwapTransaction(connection, jupiter, wallet, quote);
+  const wattAccount = await getAssociatedTokenAddress(WATT_MINT, wallet.publicKey, false, TOKEN_PROGRAM_ID);
+  const balanceBefore = await getWattBalance(connection, wallet.publicKey);
+
+  const value = await simulate(connection, transaction, [wattAccount]);
+  logSimulation('Swap', value);
+
+  const expectedOutput = formatAmount(BigInt(quote.outAmount), token.decimals);
+  const minimumOutput = formatAmount(BigInt(quote.otherAmountThreshold), token.decimals);
+  log(`   Expected output: ${expectedOutput} ${token.symbol} (minimum ${minimumOutput} after slippage)`, 'INFO');
+
+  if (value.err) {
+    // The claimed WATT only exists after a live claim, so an empty wallet is expected to fail here
+    if (balanceBefore < amountToSell) {
+      log(`   Wallet holds ${formatWatt(balanceBefore)} WATT but the sell needs ${formatWatt(amountToSell)}; expected until the claim is executed`, 'WARN');
+      return;
+    }
+    throw new Error(`Swap simulation failed: ${JSON.stringify(value.err)}`);
+  }
+
+  const balanceAfter = simulatedWattBalance(value);
+  if (balanceAfter !== null) {
+    log(`   Simulated WATT delta: ${formatWatt(balanceAfter - balanceBefore)} WATT`, 'INFO');
+  }
+}
+
+// ============================================================================
+// TWAP (CHUNKED) SELLING
+// ============================================================================
+
+// Plans are stored as JSON with raw amounts as strings; restoreTwapPlan turns one back into BigInts
+function loadTwapSells() {
+  return readStateFile(TWAP_SELLS_FILE, []);
+}
+
+function serializeTwapPlan(plan) {
+  const fills = Object.fromEntries(Object.entries(plan.fills).map(([token, fill]) => [
+    token,
+    { ...fill, soldAmount: fill.soldAmount.toString(), outputAmount: fill.outputAmount.toString() },
+  ]));
+  return { ...plan, totalAmount: plan.totalAmount.toString(), soldAmount: plan.soldAmount.toString(), fills };
+}
+
+async function restoreTwapPlan(connection, stored) {
+  const fills = {};
+  for (const [token, fill] of Object.entries(stored.fills)) {
+    // Plans saved by older versions have UI amounts and no decimals
+    const decimals = fill.decimals !== undefined ? fill.decimals : (await resolveToken(connection, token)).decimals;
+    fills[token] = {
+      ...fill,
+      soldAmount: parseStoredAmount(fill.soldAmount, WATT_DECIMALS),
+      outputAmount: parseStoredAmount(fill.outputAmount, decimals),
+      decimals,
+    };
+  }
+  return {
+    ...stored,
+    totalAmount: parseStoredAmount(stored.totalAmount, WATT_DECIMALS),
+    soldAmount: parseStoredAmount(stored.soldAmount, WATT_DECIMALS),
+    fills,
+  };
+}
+
+function saveTwapSell(plan) {
+  if (config.DRY_RUN) {
+    return;
+  }
+  writeStateFile(TWAP_SELLS_FILE, [...loadTwapSells().filter(other => other.id !== plan.id), serializeTwapPlan(plan)]);
+}
+
+function removeTwapSell(plan) {
+  if (config.DRY_RUN) {
+    return;
+  }
+  writeStateFile(TWAP_SELLS_FILE, loadTwapSells().filter(other => other.id !== plan.id));
+}
+
+function logTwapSummary(plan) {
+  log(`TWAP ${plan.id}: sold ${formatWatt(plan.soldAmount)} of ${formatWatt(plan.totalAmount)} WATT in ${plan.completedChunks}/${plan.chunks} chunk(s)`, 'INFO');
+
+  // Averages are per output token, since a split allocation fills several tokens per chunk
+  for (const [token, fill] of Object.entries(plan.fills)) {
+    const averagePrice = toUiAmount(fill.outputAmount, fill.decimals) / toUiAmount(fill.soldAmount, WATT_DECIMALS);
+    const differencePct = ((averagePrice - fill.firstPrice) / fill.firstPrice) * 100;
+    log(`   Average fill: ${averagePrice.toFixed(9)} ${token}/WATT vs first quote ${fill.firstPrice.toFixed(9)} (${differencePct >= 0 ? '+' : ''}${differencePct.toFixed(2)}%)`, 'INFO');
+  }
+}
+
+// Sells the remaining chunks of a plan, saving progress after every chunk so a
+// restart picks up where it stopped instead of selling from the start again. The plan
+// is removed only once it is done: every chunk sold, or no WATT left to sell. Any other
+// stop (price, rejected quote, shutdown, or a one-shot run reaching a chunk that is not
+// due yet) keeps it saved for the next run. plan.finished tells the caller which it was.
+async function runTwapSell(connection, jupiter, wallet, settings, plan) {
+  const intervalMs = (config.TWAP_WINDOW_MINUTES * 60_000) / plan.chunks;
+  let walletEmpty = false;
+
+  while (plan.completedChunks < plan.chunks) {
+    if (isShutdownRequested()) {
+      log(`TWAP ${plan.id}: shutdown requested, remaining chunks resume on next start`, 'WARN');
+      break;
+    }
+
+    const waitMs = Date.parse(plan.nextChunkAt) - Date.now();
+    if (waitMs > 0 && !config.DRY_RUN) {
+      // Only the daemon waits; a one-shot run leaves the next chunk to a later run
+      if (!isDaemonMode()) {
+        log(`TWAP ${plan.id}: next chunk due at ${plan.nextChunkAt}, it is sold by the first run after that`, 'INFO');
+        break;
+      }
+      log(`TWAP ${plan.id}: next chunk at ${plan.nextChunkAt}`, 'INFO');
+      await sleep(waitMs);
+      continue;
+    }
+
+    const chunkNumber = plan.completedChunks + 1;
+    log(`TWAP ${plan.id}: chunk ${chunkNumber}/${plan.chunks}`, 'INFO');
+
+    // Every chunk gets its own price check against the floor. getWattPriceUSD returns 0
+    // for an unavailable price when there is no floor, which is just as unusable here.
+    const priceUsd = await getWattPriceUSD(jupiter, settings.minSellPriceUsd);
+    if (!(priceUsd > 0) || (settings.minSellPriceUsd > 0 && priceUsd < settings.minSellPriceUsd)) {
+      log(`TWAP ${plan.id}: price ${!(priceUsd > 0) ? 'unavailable' : `$${priceUsd.toFixed(6)} is below minimum $${settings.minSellPriceUsd.toFixed(6)}`}. Retrying the remaining chunks next run.`, 'WARN');
+      break;
+    }
+
+    // Integer division leaves the remainder for the last chunk
+    const balance = await getWattBalance(connection, wallet.publicKey);
+    const remainingAmount = plan.totalAmount - plan.soldAmount;
+    const evenChunk = remainingAmount / BigInt(plan.chunks - plan.completedChunks);
+    const chunkAmount = evenChunk < balance ? evenChunk : balance;
+    if (chunkAmount === 0n) {
+      log(`TWAP ${plan.id}: no WATT left in wallet to sell. Ending the plan.`, 'WARN');
+      walletEmpty = true;
+      break;
+    }
+
+    // MIN_OUTPUT_USD is the floor for the whole plan, so a chunk must return its share of it
+    const chunkMinOutputUsd = (config.MIN_OUTPUT_USD * Number(chunkAmount)) / Number(plan.totalAmount);
+    const result = await executeMarketSell(connection, jupiter, wallet, chunkAmount, plan.outputToken, settings.slippageBps, priceUsd, chunkMinOutputUsd);
+
+    if (!result) {
+      log(`DRY RUN: ${plan.chunks - chunkNumber} more chunk(s) would follow, one every ${Math.round(intervalMs / 60_000)} minute(s)`, 'INFO');
+      return plan;
+    }
+    if (result.rejected) {
+      log(`TWAP ${plan.id}: chunk rejected. Retrying the remaining chunks next run.`, 'WARN');
+      break;
+    }
+
+    plan.completedChunks++;
+    plan.soldAmount += result.inputAmount;
+    for (const fill of result.fills) {
+      const firstPrice = toUiAmount(fill.outputAmount, fill.decimals) / toUiAmount(fill.inputAmount, WATT_DECIMALS);
+      const total = plan.fills[fill.outputToken] || { soldAmount: 0n, outputAmount: 0n, decimals: fill.decimals, firstPrice };
+      total.soldAmount += fill.inputAmount;
+      total.outputAmount += fill.outputAmount;
+      plan.fills[fill.outputToken] = total;
+      plan.signatures.push(fill.signature);
+    }
+    plan.nextChunkAt = new Date(Date.now() + intervalMs).toISOString();
+    saveTwapSell(plan);
+  }
+
+  plan.finished = walletEmpty || plan.completedChunks >= plan.chunks;
+  if (plan.finished) {
+    removeTwapSell(plan);
+  }
+  logTwapSummary(plan);
+  return plan;
+}
+
+async function startTwapSell(connection, jupiter, wallet, amountToSell, settings) {
+  const now = new Date();
+  const plan = {
+    id: `${now.getTime()}-${Math.random().toString(36).slice(2, 8)}`,
+    wallet: wallet.publicKey.toBase58(),
+    outputToken: settings.sellToken,
+    totalAmount: amountToSell,
+    chunks: config.TWAP_CHUNKS,
+    completedChunks: 0,
+    soldAmount: 0n,
+    fills: {},
+    signatures: [],
+    createdAt: now.toISOString(),
+    nextChunkAt: now.toISOString(),
+  };
+
+  log(`Strategy: TWAP, ${plan.chunks} chunks of ~${formatWatt(amountToSell / BigInt(plan.chunks))} WATT over ${config.TWAP_WINDOW_MINUTES} minute(s)`, 'INFO');
+  saveTwapSell(plan);
+
+  return runTwapSell(connection, jupiter, wallet, settings, plan);
+}
+
+async function resumeTwapSells(connection, jupiter, wallet, settings) {
+  const plans = loadTwapSells().filter(stored => stored.wallet === wallet.publicKey.toBase58());
+
+  for (const stored of plans) {
+    log(`Resuming TWAP ${stored.id}: ${stored.completedChunks}/${stored.chunks} chunk(s) done`, 'INFO');
+    await runTwapSell(connection, jupiter, wallet, settings, await restoreTwapPlan(connection, stored));
+  }
+}
+
+// ============================================================================
+// QUOTE GUARDS
+// ============================================================================
+
+// Returns the reason the quote must not be executed, or null if it passes every guard.
+// minOutputUsd is the USD floor for this quote (MIN_OUTPUT_USD unless the caller says otherwise).
+async function checkQuoteGuards(jupiter, quote, amountToSell, token, referencePriceUsd, minOutputUsd = config.MIN_OUTPUT_USD) {
+  const priceImpactPct = parseFloat(quote.priceImpactPct || '0') * 100;
+  if (config.MAX_PRICE_IMPACT_PCT > 0 && priceImpactPct > config.MAX_PRICE_IMPACT_PCT) {
+    return `price impact ${priceImpactPct.toFixed(2)}% exceeds maximum ${config.MAX_PRICE_IMPACT_PCT}%`;
+  }
+
+  const labels = (quote.routePlan || []).map(step => step.swapInfo.label || 'unknown');
+  const denied = labels.filter(label => config.ROUTE_DENIED_DEXES.includes(label.toLowerCase()));
+  if (denied.length > 0) {
+    return `route uses denied DEX ${denied.join(', ')}`;
+  }
+  const notAllowed = labels.filter(label => !config.ROUTE_ALLOWED_DEXES.includes(label.toLowerCase()));
+  if (config.ROUTE_ALLOWED_DEXES.length > 0 && notAllowed.length > 0) {
+    return `route uses DEX ${notAllowed.join(', ')} which is not in ROUTE_ALLOWED_DEXES`;
+  }
+
+  if (minOutputUsd <= 0 && config.MAX_PRICE_DEVIATION_PCT <= 0) {
+    return null;
+  }
+
+  const outputAmount = toUiAmount(BigInt(quote.outAmount), token.decimals);
+  let outputUsd;
+  try {
+    outputUsd = outputAmount * await getOutputTokenPriceUSD(jupiter, token);
+  } catch (error) {
+    return `could not price ${token.symbol} output in USD: ${error.message}`;
+  }
+
+  if (minOutputUsd > 0 && outputUsd < minOutputUsd) {
+    return `output $${outputUsd.toFixed(2)} is below minimum $${minOutputUsd.toFixed(2)}`;
+  }
+
+  const effectivePriceUsd = outputUsd / toUiAmount(amountToSell, WATT_DECIMALS);
+  log(`Effective price for this size: $${effectivePriceUsd.toFixed(6)} (${labels.join(' → ')}, impact ${priceImpactPct.toFixed(2)}%)`, 'INFO');
+
+  if (config.MAX_PRICE_DEVIATION_PCT > 0) {
+    // Without a reference price the effective price cannot be checked, so the sell only goes
+    // ahead when an explicit MIN_OUTPUT_USD floor (already passed above) bounds what it returns
+    if (!referencePriceUsd && minOutputUsd <= 0) {
+      return 'no reference price to check the price deviation against (set MIN_OUTPUT_USD to sell without one)';
+    } else if (!referencePriceUsd) {
+      log(`No reference price available, relying on the $${minOutputUsd.toFixed(2)} MIN_OUTPUT_USD floor`, 'WARN');
+    } else {
+      const deviationPct = ((referencePriceUsd - effectivePriceUsd) / referencePriceUsd) * 100;
+      if (deviationPct > config.MAX_PRICE_DEVIATION_PCT) {
+        return `effective price $${effectivePriceUsd.toFixed(6)} is ${deviationPct.toFixed(2)}% below reference $${referencePriceUsd.toFixed(6)} (maximum ${config.MAX_PRICE_DEVIATION_PCT}%)`;
+      }
+    }
+  }
+
+  return null;
+}
+
+// ============================================================================
+// JUPITER INTEGRATION
+// ============================================================================
+
+async function buildSwapTransaction(connection, jupiter, wallet, quote) {
+  // Build swap request payload
+  const swapPayload = {
+    quoteResponse: quote,
+    userPublicKey: wallet.publicKey.toString(),
+    wrapAndUnwrapSol: true,
+    dynamicComputeUnitLimit: true,
+  };
+
+  // Same fee policy as the claim, priced on the pools the route writes to
+  const poolAccounts = (quote.routePlan || []).map(step => new PublicKey(step.swapInfo.ammKey));
+  const computeUnitPrice = await getPriorityFeeMicroLamports(connection, poolAccounts, SWAP_COMPUTE_UNIT_ESTIMATE);
+  if (computeUnitPrice > 0) {
+    swapPayload.computeUnitPriceMicroLamports = computeUnitPrice;
+  }
+
+  const { swapTransaction, lastValidBlockHeight } = await jupiter.swap(swapPayload);
+
+  // Deserialize transaction
+  const transactionBuf = Buffer.from(swapTransaction, 'base64');
+  return { transaction: VersionedTransaction.deserialize(transactionBuf), lastValidBlockHeight };
+}
+
+async function executeSwap(connection, jupiter, wallet, quote) {
+  // Each rebuild asks Jupiter for a new transaction with a fresh blockhash
+  return sendAndConfirmTransaction(connection, wallet, () => buildSwapTransaction(connection, jupiter, wallet, quote), 'Swap');
+}
+
+// Quotes and guards one output token of a sell (raw WATT) without executing it
+async function quoteSellLeg(connection, jupiter, amountToSell, outputToken, slippageBps, priceUsd, minOutputUsd = config.MIN_OUTPUT_USD) {
+  const token = await resolveToken(connection, outputToken);
+
+  // Get quote
+  const quote = await jupiter.quote(
+    TOKEN_ADDRESSES.WATT,
+    token.mint,
+    amountToSell,
+    slippageBps
+  );
+
+  const outputAmount = BigInt(quote.outAmount);
+  log(`Expected output: ${formatAmount(outputAmount, token.decimals)} ${token.symbol}`, 'INFO');
+
+  const rejection = await checkQuoteGuards(jupiter, quote, amountToSell, token, priceUsd, minOutputUsd);
+  return { token, quote, inputAmount: amountToSell, outputAmount, rejection };
+}
+
+// What a landed sell leg actually paid out, from the confirmed transaction: the change of the
+// wallet's output token balance, or for SOL (unwrapped into the wallet) the change of its
+// lamports plus the fee and the rent of any token account the transaction opened for it.
+// Returns { outputAmount, feeLamports }, falling back to the quoted output when the
+// transaction cannot be read.
+async function getSwapOutput(connection, signature, walletPubkey, leg) {
+  try {
+    const tx = await connection.getTransaction(signature, { maxSupportedTransactionVersion: 0 });
+    if (!tx || !tx.meta) {
+      throw new Error('transaction not found');
+    }
+
+    const { meta } = tx;
+    const wallet = walletPubkey.toBase58();
+    let outputAmount = null;
+
+    if (leg.token.mint === TOKEN_ADDRESSES.SOL) {
+      const accountKeys = tx.transaction.message.getAccountKeys({ accountKeysFromLookups: meta.loadedAddresses });
+      const walletIndex = accountKeys.keySegments().flat().findIndex(key => key.equals(walletPubkey));
+      if (walletIndex !== -1) {
+        const openedRent = (meta.postTokenBalances || [])
+          .filter(balance => balance.owner === wallet && meta.preBalances[balance.accountIndex] === 0)
+          .reduce((sum, balance) => sum + meta.postBalances[balance.accountIndex], 0);
+        outputAmount = BigInt(meta.postBalances[walletIndex] - meta.preBalances[walletIndex] + meta.fee + openedRent);
+      }
+    } else {
+      const owned = balances => (balances || []).filter(balance => balance.owner === wallet && balance.mint === leg.token.mint);
+      const post = owned(meta.postTokenBalances);
+      if (post.length > 0) {
+        // An output account the swap created has no pre balance
+        const total = balances => balances.reduce((sum, balance) => sum + BigInt(balance.uiTokenAmount.amount), 0n);
+        outputAmount = total(post) - total(owned(meta.preTokenBalances));
+      }
+    }
+
+    if (outputAmount === null) {
+      throw new Error(`no ${leg.token.symbol} balance change for the wallet`);
+    }
+    return { outputAmount, feeLamports: meta.fee };
+  } catch (error) {
+    log(`Warning: Could not read the actual output of ${signature} (${error.message}), recording the quoted amount`, 'WARN');
+    return { outputAmount: leg.outputAmount, feeLamports: null };
+  }
+}
+
+// Logs, records and counts one landed sell leg, and returns it as a fill. The leg is valued
+// at what it actually returned, not at the WATT reference price, so slippage shows up in it.
+async function recordSwapLeg(jupiter, wallet, leg, signature, priceUsd, feeLamports) {
+  const inputAmount = formatWatt(leg.inputAmount);
+  const outputAmount = formatAmount(leg.outputAmount, leg.token.decimals);
+  log(`✅ SWAP SUCCESS: ${inputAmount} WATT → ${outputAmount} ${leg.token.symbol}`, 'INFO', {
+    signature,
+    inputAmount,
+    outputAmount,
+    outputToken: leg.token.symbol,
+  });
+  log(`Transaction: https://solscan.io/tx/${signature}`, 'INFO');
+
+  let valueUsd = null;
+  try {
+    valueUsd = toUiAmount(leg.outputAmount, leg.token.decimals) * await getOutputTokenPriceUSD(jupiter, leg.token);
+  } catch (error) {
+    log(`Warning: Could not price the ${leg.token.symbol} output in USD, recording the swap without a value: ${error.message}`, 'WARN');
+  }
+
+  recordLedgerEntry({
+    type: 'swap',
+    wallet: wallet.publicKey.toBase58(),
+    signature,
+    inputAmount,
+    inputToken: 'WATT',
+    outputAmount,
+    outputToken: leg.token.symbol,
+    priceUsd: priceUsd || null,
+    valueUsd,
+    feeLamports,
+  });
+
+  incrementMetric('wattbot_watt_sold_total', { wallet: wallet.publicKey.toBase58() }, toUiAmount(leg.inputAmount, WATT_DECIMALS));
+  return { outputToken: leg.token.symbol, inputAmount: leg.inputAmount, outputAmount: leg.outputAmount, decimals: leg.token.decimals, signature };
+}
+
+// Sells amountToSell (raw WATT) split across the sellToken allocation. Every leg is quoted and
+// guarded before any swap is sent, so a rejected quote never leaves the sell half done.
+// minOutputUsd is the floor for the whole sell; each leg must return its share of it.
+async function executeMarketSell(connection, jupiter, wallet, amountToSell, sellToken, slippageBps, priceUsd, minOutputUsd = config.MIN_OUTPUT_USD) {
+  const allocation = parseSellAllocation(sellToken);
+  const legs = [];
+  let unallocated = amountToSell;
+  for (const [index, { token, percent }] of allocation.entries()) {
+    // Rounding leftovers go to the last leg, so the legs add up to amountToSell exactly
+    const legAmount = index === allocation.length - 1 ? unallocated : percentOf(amountToSell, percent);
+    unallocated -= legAmount;
+    if (legAmount === 0n) {
+      continue;
+    }
+
+    const legMinOutputUsd = (minOutputUsd * Number(legAmount)) / Number(amountToSell);
+    const leg = await quoteSellLeg(connection, jupiter, legAmount, token, slippageBps, priceUsd, legMinOutputUsd);
+    if (leg.rejection) {
+      log(`❌ Swap rejected: ${leg.rejection}`, 'WARN');
+      return { rejected: leg.rejection };
+    }
+    legs.push(leg);
+  }
+
+  if (config.DRY_RUN) {
+    for (const leg of legs) {
+      await simulateSwap(connection, jupiter, wallet, leg.quote, leg.inputAmount, leg.token);
+    }
+    return null;
+  }
+
+  const fills = [];
+  for (const leg of legs) {
+    let signature;
+    try {
+      signature = await executeSwap(connection, jupiter, wallet, leg.quote);
+    } catch (error) {
+      if (fills.length === 0) {
+        throw error;
+      }
+      // Earlier legs already landed; the unsold WATT simply stays in the wallet
+      log(`❌ Swap to ${leg.token.symbol} failed after ${fills.length} leg(s) succeeded: ${error.message}`, 'ERROR');
+      break;
+    }
+
+    const { outputAmount, feeLamports } = await getSwapOutput(connection, signature, wallet.publicKey, leg);
+    fills.push(await recordSwapLeg(jupiter, wallet, { ...leg, outputAmount }, signature, priceUsd, feeLamports));
+  }
+
+  const outputs = {};
+  for (const fill of fills) {
+    addOutput(outputs, fill.outputToken, fill.outputAmount, fill.decimals);
+  }
+
+  return { fills, outputs, inputAmount: fills.reduce((sum, fill) => sum + fill.inputAmount, 0n) };
+}
+
+async function notifySwap(wallet, inputAmount, outputs, keptAmount, signatures) {
+  await notify('swap', {
+    wallet: wallet.publicKey.toBase58(),
+    inputAmount: formatWatt(inputAmount),
+    outputs: formatOutputs(outputs),
+    keptAmount: formatWatt(keptAmount),
+    signature: signatures[0],
+    link: solscanLinks(signatures),
+  });
+}
+
+async function autoSell(connection, jupiter, wallet, wattAmount, settings) {
+  const { sellToken, sellPercentage, sellStrategy, minSellPriceUsd, targetSellPriceUsd } = settings;
+
+  log('========================================', 'INFO');
+  log('AUTO-SELL: Starting sell process', 'INFO');
+  log('========================================', 'INFO');
+
+  // Validate percentage
+  if (!(sellPercentage >= 0 && sellPercentage <= 100)) {
+    throw new Error(`Invalid sell percentage: ${sellPercentage}. Must be between 0 and 100`);
+  }
+
+  // If selling 0%, skip (the ladder sets its own percentages)
+  if (sellPercentage === 0 && sellStrategy !== 'ladder') {
+    log('Sell percentage is 0%. Keeping all WATT.', 'INFO');
+    return null;
+  }
+
+  // Validate the allocation and output mints before any quote is requested
+  const allocation = parseSellAllocation(sellToken);
+  for (const { token } of allocation) {
+    await resolveToken(connection, token);
+  }
+
+  log(`Target: Swap to ${allocation.map(({ token, percent }) => `${percent}% ${token}`).join(', ')}`, 'INFO');
+
+  // Get current WATT price
+  setLogContext({ phase: 'price' });
+  const currentPriceUSD = await getWattPriceUSD(jupiter, minSellPriceUsd);
+  setLogContext({ phase: 'swap' });
+
+  if (currentPriceUSD === null) {
+    log('Could not fetch WATT price.', 'ERROR');
+    log('This usually means:', 'ERROR');
+    log('  1. WATT token has no liquidity on Jupiter DEXs', 'ERROR');
+    log('  2. Network/API issues', 'ERROR');
+    log('  3. Token not yet listed on major DEXs', 'ERROR');
+    log('', 'ERROR');
+    log('To proceed anyway, set MIN_SELL_PRICE_USD=0 in .env.local', 'ERROR');
+    log('Aborting auto-sell for safety.', 'ERROR');
+    throw new Error('Could not fetch WATT price. Aborting auto-sell.');
+  }
+
+  if (currentPriceUSD > 0) {
+    log(`Current WATT price: $${currentPriceUSD.toFixed(6)} USD`, 'INFO', { priceUsd: currentPriceUSD });
+  } else {
+    log('WATT price check skipped (MIN_SELL_PRICE_USD=0)', 'WARN');
+  }
+
+  // The strategy decides the amount to sell, in raw WATT, out of what is available
+  const reserved = sellStrategy === 'fixed' ? 0n : reservedWatt(wallet.publicKey);
+  const decision = await decideSellAmount(connection, wallet, wattAmount, currentPriceUSD, settings, reserved);
+  const available = decision.held;
+  const amountToSell = decision.amount;
+  const amountToKeep = available - amountToSell;
+  const commitStrategy = () => saveStrategyState(wallet.publicKey, sellStrategy, decision.state);
+
+  log(`Total claimed: ${formatWatt(wattAmount)} WATT`, 'INFO');
+  if (sellStrategy !== 'fixed') {
+    log(`WATT held (claimed and kept): ${formatWatt(available)} WATT${reserved > 0n ? `, not counting ${formatWatt(reserved)} WATT reserved for queued orders and TWAP sells` : ''}`, 'INFO');
+  }
+  log(`Sell strategy: ${sellStrategy} (${decision.reason})`, 'INFO', { sellStrategy });
+  log(`Amount to sell: ${formatWatt(amountToSell)} WATT`, 'INFO');
+  log(`Amount to keep: ${formatWatt(amountToKeep)} WATT`, 'INFO');
+
+  if (amountToSell === 0n) {
+    commitStrategy();
+    if (sellStrategy === 'fixed') {
+      log('Amount too small. Keeping all WATT.', 'INFO');
+      await notify('sell_skipped', { wallet: wallet.publicKey.toBase58(), reason: `amount ${formatWatt(amountToSell)} WATT too small` });
+    } else {
+      log('The sell strategy holds this run. Keeping all WATT.', 'INFO');
+    }
+    return null;
+  }
+
+  // Limit mode: park the sell in the pending queue until the target is reached
+  if (targetSellPriceUsd > 0 && currentPriceUSD < targetSellPriceUsd) {
+    log(`Price $${currentPriceUSD.toFixed(6)} is below target $${targetSellPriceUsd.toFixed(6)}. Queuing limit order.`, 'INFO');
+    const order = queuePendingSell(wallet.publicKey, amountToSell, settings);
+    commitStrategy();
+    return { type: 'queued', orderId: order.id, inputAmount: amountToSell, outputToken: sellToken, targetPriceUSD: order.targetPriceUSD, keptAmount: amountToKeep };
+  }
+
+  // Check minimum price threshold
+  if (minSellPriceUsd > 0 && currentPriceUSD > 0 && currentPriceUSD < minSellPriceUsd) {
+    log(`Price $${currentPriceUSD.toFixed(6)} is below minimum $${minSellPriceUsd.toFixed(6)}. Skipping sell.`, 'WARN');
+    await notify('sell_skipped', { wallet: wallet.publicKey.toBase58(), reason: `price $${currentPriceUSD.toFixed(6)} below minimum $${minSellPriceUsd.toFixed(6)}` });
+    return null;
+  }
+
+  if (config.TWAP_CHUNKS > 1) {
+    const plan = await startTwapSell(connection, jupiter, wallet, amountToSell, settings);
+    if (config.DRY_RUN) {
+      return null;
+    }
+    // WATT of chunks still to come is reserved for the plan, not kept
+    const keptAmount = available - (plan.finished ? plan.soldAmount : plan.totalAmount);
+    log(`   Kept in wallet: ${formatWatt(keptAmount)} WATT`, 'INFO');
+    const outputs = {};
+    for (const [token, fill] of Object.entries(plan.fills)) {
+      addOutput(outputs, token, fill.outputAmount, fill.decimals);
+    }
+    if (plan.soldAmount > 0n) {
+      commitStrategy();
+      await notifySwap(wallet, plan.soldAmount, outputs, keptAmount, plan.signatures);
+    }
+    return { type: 'twap', inputAmount: plan.soldAmount, outputs, chunks: plan.completedChunks, keptAmount };
+  }
+
+  if (targetSellPriceUsd > 0) {
+    log(`Strategy: Limit order (target $${targetSellPriceUsd.toFixed(6)} reached, executing now)`, 'INFO');
+  } else {
+    log('Strategy: Market order (immediate execution)', 'INFO');
+  }
+
+  const sell = await executeMarketSell(connection, jupiter, wallet, amountToSell, sellToken, settings.slippageBps, currentPriceUSD);
+  if (!sell) {
+    return null;
+  }
+  if (sell.rejected) {
+    await notify('sell_skipped', { wallet: wallet.publicKey.toBase58(), reason: sell.rejected });
+    return { type: 'rejected', reason: sell.rejected, inputAmount: amountToSell, outputToken: sellToken, keptAmount: available };
+  }
+
+  commitStrategy();
+  const keptAmount = available - sell.inputAmount;
+  log(`   Kept in wallet: ${formatWatt(keptAmount)} WATT`, 'INFO');
+  await notifySwap(wallet, sell.inputAmount, sell.outputs, keptAmount, sell.fills.map(fill => fill.signature));
+
+  return { type: 'swap', signatures: sell.fills.map(fill => fill.signature), inputAmount: sell.inputAmount, outputs: sell.outputs, keptAmount };
+}
+
+module.exports = {
+  loadPendingSells,
+  savePendingSells,
+  queuePendingSell,
+  reservedWatt,
+  processPendingSells,
+  simulateSwap,
+  loadTwapSells,
+  serializeTwapPlan,
+  restoreTwapPlan,
+  saveTwapSell,
+  removeTwapSell,
+  logTwapSummary,
+  runTwapSell,
+  startTwapSell,
+  resumeTwapSells,
+  checkQuoteGuards,
+  buildSwapTransaction,
+  executeSwap,
+  quoteSellLeg,
+  getSwapOutput,
+  recordSwapLeg,
+  executeMarketSell,
+  notifySwap,
+  autoSell,
+};
@@ -0,0 +1,158 @@
+/**
+ * Sweep of balances above the hot wallet limits to a cold wallet.
+ */
+
+const {
+  PublicKey,
+  Transaction,
+  ComputeBudgetProgram,
+  SystemProgram,
+} = require('@solana/web3.js');
+const {
+  getAssociatedTokenAddress,
+  createAssociatedTokenAccountIdempotentInstruction,
+  createTransferCheckedInstruction,
+} = require('@solana/spl-token');
+const config = require('./config');
+const { WATT_MINT, parseHotWalletLimits } = require('./config');
+const { log } = require('./logger');
+const { parseAmount, formatAmount, resolveToken, formatOutputs, addOutput } = require('./tokens');
+const {
+  sendAndConfirmTransaction,
+  getPriorityFeeMicroLamports,
+  estimateComputeUnits,
+  simulate,
+  logSimulation,
+} = require('./transactions');
+const { getTransactionFee, recordLedgerEntry } = require('./ledger');
+const { reservedWatt } = require('./swap');
+
+// ============================================================================
+// COLD WALLET SWEEP
+// ============================================================================
+
+// Raw balance held by the wallet: lamports for SOL, the ATA amount for SPL tokens
+async function getRawBalance(connection, owner, token) {
+  if (token.symbol === 'SOL') {
+    return BigInt(await connection.getBalance(owner, 'confirmed'));
+  }
+
+  const account = await getAssociatedTokenAddress(new PublicKey(token.mint), owner, false, token.programId);
+  try {
+    const { value } = await connection.getTokenAccountBalance(account, 'confirmed');
+    return BigInt(value.amount);
+  } catch (error) {
+    // Token account might not exist yet
+    return 0n;
+  }
+}
+
+// Raw amounts above the hot-wallet limits, as [{ token, raw }]. reserved is the raw WATT that
+// queued limit orders and unfinished TWAP plans still have to sell; it never counts as sweepable.
+async function findSweepTransfers(connection, owner, reserved = 0n) {
+  const transfers = [];
+  for (const { token: symbol, limit } of parseHotWalletLimits(config.SWEEP_HOT_WALLET_LIMITS)) {
+    const token = await resolveToken(connection, symbol);
+    const balance = await getRawBalance(connection, owner, token);
+    const held = token.mint === WATT_MINT.toBase58() ? balance - reserved : balance;
+    const raw = held - parseAmount(limit, token.decimals);
+    if (raw > 0n) {
+      transfers.push({ token, raw });
+    }
+  }
+  return transfers;
+}
+
+async function buildSweepTransaction(connection, wallet, transfers, destination) {
+  const instructions = [];
+  for (const { token, raw } of transfers) {
+    if (token.symbol === 'SOL') {
+      instructions.push(SystemProgram.transfer({ fromPubkey: wallet.publicKey, toPubkey: destination, lamports: raw }));
+      continue;
+    }
+
+    // The cold wallet may not hold the token yet, so its ATA is created when missing.
+    // Off-curve owners are allowed so a multisig vault can be the destination.
+    const mint = new PublicKey(token.mint);
+    const source = await getAssociatedTokenAddress(mint, wallet.publicKey, false, token.programId);
+    const target = await getAssociatedTokenAddress(mint, destination, true, token.programId);
+    instructions.push(
+      createAssociatedTokenAccountIdempotentInstruction(wallet.publicKey, target, destination, mint, token.programId),
+      createTransferCheckedInstruction(source, mint, target, wallet.publicKey, raw, token.decimals, [], token.programId)
+    );
+  }
+
+  const { blockhash, lastValidBlockHeight } = await connection.getLatestBlockhash('confirmed');
+
+  const computeUnitLimit = await estimateComputeUnits(connection, wallet.publicKey, instructions, blockhash);
+  const writableAccounts = [...new Set(instructions.flatMap(instruction => instruction.keys.filter(key => key.isWritable).map(key => key.pubkey.toBase58())))]
+    .map(address => new PublicKey(address));
+  const computeUnitPrice = await getPriorityFeeMicroLamports(connection, writableAccounts, computeUnitLimit);
+
+  const transaction = new Transaction().add(ComputeBudgetProgram.setComputeUnitLimit({ units: computeUnitLimit }));
+  if (computeUnitPrice > 0) {
+    transaction.add(ComputeBudgetProgram.setComputeUnitPrice({ microLamports: computeUnitPrice }));
+  }
+  transaction.add(...instructions);
+  transaction.recentBlockhash = blockhash;
+  transaction.feePayer = wallet.publicKey;
+
+  return { transaction, lastValidBlockHeight };
+}
+
+// Moves everything above SWEEP_HOT_WALLET_LIMITS to SWEEP_DESTINATION in one transaction
+async function sweepToColdWallet(connection, wallet) {
+  const destination = new PublicKey(config.SWEEP_DESTINATION);
+
+  log('========================================', 'INFO');
+  log(`SWEEP: Moving funds above hot-wallet limits to ${destination.toBase58()}`, 'INFO');
+  log('========================================', 'INFO');
+
+  const transfers = await findSweepTransfers(connection, wallet.publicKey, reservedWatt(wallet.publicKey));
+  if (transfers.length === 0) {
+    log('Nothing above the hot-wallet limits, skipping sweep', 'INFO');
+    return null;
+  }
+  const outputs = {};
+  for (const { token, raw } of transfers) {
+    log(`   ${formatAmount(raw, token.decimals)} ${token.symbol}`, 'INFO');
+    addOutput(outputs, token.symbol, raw, token.decimals);
+  }
+
+  if (config.DRY_RUN) {
+    const { transaction } = await buildSweepTransaction(connection, wallet, transfers, destination);
+    const value = await simulate(connection, transaction, []);
+    logSimulation('Sweep', value);
+    if (value.err) {
+      throw new Error(`Sweep simulation failed: ${JSON.stringify(value.err)}`);
+    }
+    return null;
+  }
+
+  const signature = await sendAndConfirmTransaction(connection, wallet, () => buildSweepTransaction(connection, wallet, transfers, destination), 'Sweep');
+  log(`✅ SWEEP SUCCESS: ${formatOutputs(outputs)} → ${destination.toBase58()}`, 'INFO', { signature, outputs: formatOutputs(outputs), destination: destination.toBase58() });
+  log(`Transaction: https://solscan.io/tx/${signature}`, 'INFO');
+
+  // One ledger entry per token; the fee is recorded once for the whole transaction
+  const feeLamports = await getTransactionFee(connection, signature);
+  transfers.forEach(({ token, raw }, index) => {
+    recordLedgerEntry({
+      type: 'transfer',
+      wallet: wallet.publicKey.toBase58(),
+      signature,
+      amount: formatAmount(raw, token.decimals),
+      token: token.symbol,
+      destination: destination.toBase58(),
+      feeLamports: index === 0 ? feeLamports : 0,
+    });
+  });
+
+  return { signature, outputs, destination: destination.toBase58() };
+}
+
+module.exports = {
+  getRawBalance,
+  findSweepTransfers,
+  buildSweepTransaction,
+  sweepToColdWallet,
+};
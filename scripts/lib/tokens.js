@@ -0,0 +1,153 @@
+/**
+ * WATT balance and output token resolution.
+ */
+
+const { PublicKey } = require('@solana/web3.js');
+const { getAssociatedTokenAddress, TOKEN_PROGRAM_ID } = require('@solana/spl-token');
+const { WATT_MINT, WATT_DECIMALS, TOKEN_ADDRESSES } = require('./config');
+const { setMetric } = require('./metrics');
+
+// ============================================================================
+// AMOUNTS
+// ============================================================================
+
+// Amounts are raw base units (BigInt) everywhere; decimal strings and floats only
+// appear at the edges: config values in, logs, notifications and the ledger out.
+
+// "1.5" or 1.5 with 6 decimals → 1500000n. Digits beyond the token's precision are dropped.
+function parseAmount(value, decimals) {
+  const text = typeof value === 'number' ? value.toFixed(Math.min(decimals, 20)) : String(value).trim();
+  const match = /^(\d*)(?:\.(\d*))?$/.exec(text);
+  if (!match || (match[1] === '' && !match[2])) {
+    throw new Error(`Invalid token amount: ${value}`);
+  }
+  const fraction = (match[2] || '').slice(0, decimals).padEnd(decimals, '0');
+  return BigInt(match[1] || '0') * 10n ** BigInt(decimals) + BigInt(fraction || '0');
+}
+
+// 1500000n with 6 decimals → "1.500000", exact to the last base unit
+function formatAmount(raw, decimals) {
+  const sign = raw < 0n ? '-' : '';
+  const digits = (raw < 0n ? -raw : raw).toString().padStart(decimals + 1, '0');
+  if (decimals === 0) {
+    return `${sign}${digits}`;
+  }
+  return `${sign}${digits.slice(0, -decimals)}.${digits.slice(-decimals)}`;
+}
+
+// Share of a raw amount for a percentage with up to two decimals, rounded down
+function percentOf(raw, percent) {
+  return (raw * BigInt(Math.round(percent * 100))) / 10_000n;
+}
+
+// State files store raw amounts as strings; files written by older versions hold UI numbers
+function parseStoredAmount(value, decimals) {
+  return typeof value === 'number' ? parseAmount(value, decimals) : BigInt(value);
+}
+
+// Float for prices, USD values and metrics, where the last base unit does not matter
+function toUiAmount(raw, decimals) {
+  return Number(raw) / 10 ** decimals;
+}
+
+function formatWatt(raw) {
+  return formatAmount(raw, WATT_DECIMALS);
+}
+
+// ============================================================================
+// TOKEN BALANCE
+// ============================================================================
+
+// The RPC error for a token account that does not exist
+const MISSING_ACCOUNT_PATTERN = /could not find account/i;
+
+// Raw WATT balance, 0 when the wallet has no WATT account yet. Any other RPC error is
+// thrown, so a failed lookup is never mistaken for an empty wallet.
+async function getWattBalance(connection, wallet) {
+  const wattAccount = await getAssociatedTokenAddress(
+    WATT_MINT,
+    wallet,
+    false,
+    TOKEN_PROGRAM_ID
+  );
+
+  let value;
+  try {
+    ({ value } = await connection.getTokenAccountBalance(wattAccount));
+  } catch (error) {
+    if (MISSING_ACCOUNT_PATTERN.test(error.message)) {
+      return 0n;
+    }
+    throw new Error(`Could not read WATT balance of ${wallet.toBase58()}: ${error.message}`);
+  }
+
+  const balance = BigInt(value.amount);
+  setMetric('wattbot_watt_balance', { wallet: wallet.toBase58() }, toUiAmount(balance, value.decimals));
+  return balance;
+}
+
+// ============================================================================
+// OUTPUT TOKENS
+// ============================================================================
+
+// Decimals and token program per token, read once from the mint account
+const tokenInfoCache = new Map();
+
+// Resolves a symbol from TOKEN_ADDRESSES or any mint address to { symbol, mint, decimals, programId }
+async function resolveToken(connection, token) {
+  if (tokenInfoCache.has(token)) {
+    return tokenInfoCache.get(token);
+  }
+
+  let mint;
+  try {
+    mint = new PublicKey(TOKEN_ADDRESSES[token] || token);
+  } catch (error) {
+    throw new Error(`Invalid sell token: ${token}. Must be ${Object.keys(TOKEN_ADDRESSES).filter(symbol => symbol !== 'WATT').join(', ')} or a mint address`);
+  }
+
+  // SPL and Token-2022 mints share the base layout: [36 mint authority][8 supply][1 decimals]
+  const account = await connection.getAccountInfo(mint);
+  if (!account || account.data.length < 45) {
+    throw new Error(`Token ${token} is not a token mint`);
+  }
+  const info = { symbol: token, mint: mint.toBase58(), decimals: account.data[44], programId: account.owner };
+
+  tokenInfoCache.set(token, info);
+  return info;
+}
+
+// WATT amounts are formatted with WATT_DECIMALS, which the program's reward math also
+// assumes, so a mint that disagrees must stop the bot before any amount is trusted
+async function verifyWattMint(connection) {
+  const watt = await resolveToken(connection, 'WATT');
+  if (watt.decimals !== WATT_DECIMALS) {
+    throw new Error(`WATT mint ${WATT_MINT.toBase58()} has ${watt.decimals} decimals, expected ${WATT_DECIMALS}`);
+  }
+  return watt;
+}
+
+// { USDC: { amount: 1500000n, decimals: 6 } } → "1.500000 USDC"
+function formatOutputs(outputs) {
+  return Object.entries(outputs).map(([token, { amount, decimals }]) => `${formatAmount(amount, decimals)} ${token}`).join(' + ');
+}
+
+// Adds a raw amount of a token to an outputs map
+function addOutput(outputs, symbol, amount, decimals) {
+  outputs[symbol] = { amount: (outputs[symbol] ? outputs[symbol].amount : 0n) + amount, decimals };
+  return outputs;
+}
+
+module.exports = {
+  parseAmount,
+  formatAmount,
+  percentOf,
+  parseStoredAmount,
+  toUiAmount,
+  formatWatt,
+  getWattBalance,
+  resolveToken,
+  verifyWattMint,
+  formatOutputs,
+  addOutput,
+};
@@ -0,0 +1,299 @@
+/**
+ * Transaction sending with confirmation, rebroadcast and retries, priority
+ * fees, compute budget and simulation.
+ */
+
+const {
+  Transaction,
+  TransactionMessage,
+  VersionedTransaction,
+  ComputeBudgetProgram,
+  PACKET_DATA_SIZE,
+} = require('@solana/web3.js');
+const bs58 = require('bs58').default || require('bs58');
+const config = require('./config');
+const { MAX_COMPUTE_UNITS, DEFAULT_COMPUTE_UNITS, COMPUTE_UNIT_MARGIN } = require('./config');
+const { log } = require('./logger');
+
+// ============================================================================
+// TRANSACTION SENDING
+// ============================================================================
+
+const TRANSIENT_ERROR_PATTERN = /\b(429|500|502|503|504)\b|too many requests|timed? ?out|fetch failed|ECONNRESET|ECONNREFUSED|ETIMEDOUT|EAI_AGAIN|socket hang up/i;
+
+// Preflight rejects a transaction whose blockhash the RPC node has not seen yet (or has
+// already dropped); a rebuild with a fresh blockhash fixes it
+const BLOCKHASH_NOT_FOUND_PATTERN = /blockhash not found/i;
+
+function delay(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// Retries RPC calls that failed for network reasons; anything else (e.g. a preflight
+// simulation error) is thrown straight away
+async function withTransientRetry(label, fn) {
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await fn();
+    } catch (error) {
+      if (!TRANSIENT_ERROR_PATTERN.test(error.message) || attempt >= config.TX_MAX_TRANSIENT_RETRIES) {
+        throw error;
+      }
+
+      const wait = 500 * 2 ** (attempt - 1);
+      log(`${label}: transient error (${error.message}), retrying in ${wait}ms`, 'WARN');
+      await delay(wait);
+    }
+  }
+}
+
+async function findLandedSignature(connection, signatures) {
+  const { value } = await withTransientRetry('Signature status', () =>
+    connection.getSignatureStatuses(signatures, { searchTransactionHistory: true })
+  );
+
+  const index = value.findIndex(status =>
+    status && ['confirmed', 'finalized'].includes(status.confirmationStatus)
+  );
+  return index === -1 ? null : { signature: signatures[index], err: value[index].err };
+}
+
+// Polls the signature and rebroadcasts until it confirms or the blockhash expires.
+// Returns the landed status, or null once the transaction can no longer land.
+async function confirmUntilExpiry(connection, rawTransaction, signature, lastValidBlockHeight, label) {
+  for (;;) {
+    const landed = await findLandedSignature(connection, [signature]);
+    if (landed) {
+      return landed;
+    }
+
+    const blockHeight = await withTransientRetry(`${label} block height`, () => connection.getBlockHeight('confirmed'));
+    if (blockHeight > lastValidBlockHeight) {
+      // One last look: it may have landed in the final valid block
+      return findLandedSignature(connection, [signature]);
+    }
+
+    // RPC nodes drop transactions under load, so keep pushing the same bytes
+    try {
+      await connection.sendRawTransaction(rawTransaction, { skipPreflight: true, maxRetries: 0 });
+    } catch (error) {
+      log(`${label}: rebroadcast failed: ${error.message}`, 'WARN');
+    }
+
+    await delay(config.TX_REBROADCAST_INTERVAL_MS);
+  }
+}
+
+// Shared sender for claims and swaps. buildTransaction must return a fresh
+// { transaction, lastValidBlockHeight } each call; it is only called again after
+// every earlier attempt has expired without landing (or was rejected for an unknown
+// blockhash), so a claim is never sent twice. The signature is taken from the signed
+// bytes before sending, so when a send or confirmation call fails the transaction
+// can still be looked up: one that landed is returned rather than reported as a
+// failure.
+async function sendAndConfirmTransaction(connection, wallet, buildTransaction, label) {
+  const signatures = [];
+
+  for (let attempt = 1; attempt <= config.TX_MAX_ATTEMPTS; attempt++) {
+    if (signatures.length > 0) {
+      const landed = await findLandedSignature(connection, signatures);
+      if (landed) {
+        return checkLandedTransaction(landed, label);
+      }
+      log(`${label}: previous attempt did not land, rebuilding (attempt ${attempt}/${config.TX_MAX_ATTEMPTS})`, 'WARN');
+    }
+
+    const { transaction, lastValidBlockHeight } = await withTransientRetry(`${label} build`, buildTransaction);
+    await wallet.signTransaction(transaction);
+    const rawTransaction = transaction.serialize();
+    const signature = bs58.encode(transaction instanceof VersionedTransaction ? transaction.signatures[0] : transaction.signature);
+    signatures.push(signature);
+
+    try {
+      await withTransientRetry(`${label} send`, () =>
+        connection.sendRawTransaction(rawTransaction, {
+          skipPreflight: false,
+          preflightCommitment: 'confirmed',
+          maxRetries: 0,
+        })
+      );
+    } catch (error) {
+      if (BLOCKHASH_NOT_FOUND_PATTERN.test(error.message)) {
+        log(`${label}: blockhash not found by the RPC node (${error.message})`, 'WARN');
+        continue;
+      }
+      return checkLandedAfterError(connection, signatures, label, error);
+    }
+
+    log(`${label} transaction sent: ${signature}`, 'INFO', { signature });
+
+    let landed;
+    try {
+      landed = await confirmUntilExpiry(connection, rawTransaction, signature, lastValidBlockHeight, label);
+    } catch (error) {
+      return checkLandedAfterError(connection, signatures, label, error);
+    }
+    if (landed) {
+      return checkLandedTransaction(landed, label);
+    }
+  }
+
+  throw new Error(`${label} transaction did not confirm after ${config.TX_MAX_ATTEMPTS} attempts`);
+}
+
+// Called when sending or confirming threw. A request that failed on our side may still have
+// reached the cluster, so the signatures are looked up once more before giving up: a
+// transaction that landed is returned as usual, otherwise the original error is rethrown.
+async function checkLandedAfterError(connection, signatures, label, error) {
+  let landed = null;
+  try {
+    landed = await findLandedSignature(connection, signatures);
+  } catch (statusError) {
+    log(`${label}: could not check whether ${signatures.join(', ')} landed: ${statusError.message}`, 'WARN');
+  }
+
+  if (!landed) {
+    throw error;
+  }
+  log(`${label}: ${error.message}, but ${landed.signature} landed`, 'WARN');
+  return checkLandedTransaction(landed, label);
+}
+
+function checkLandedTransaction(landed, label) {
+  if (landed.err) {
+    throw new Error(`${label} transaction failed: ${JSON.stringify(landed.err)}`);
+  }
+  return landed.signature;
+}
+
+// ============================================================================
+// PRIORITY FEES AND COMPUTE BUDGET
+// ============================================================================
+
+// Compute unit price (micro-lamports) from recent fees paid to lock the given accounts,
+// capped so the total priority fee for computeUnitLimit never exceeds PRIORITY_FEE_LAMPORTS
+async function getPriorityFeeMicroLamports(connection, writableAccounts, computeUnitLimit) {
+  if (config.PRIORITY_FEE_LAMPORTS <= 0) {
+    return 0;
+  }
+
+  let fees = [];
+  try {
+    fees = await withTransientRetry('Priority fees', () =>
+      connection.getRecentPrioritizationFees({ lockedWritableAccounts: writableAccounts })
+    );
+  } catch (error) {
+    log(`Warning: Could not fetch recent priority fees: ${error.message}`, 'WARN');
+  }
+
+  const sorted = fees.map(fee => fee.prioritizationFee).sort((a, b) => a - b);
+  const index = Math.min(sorted.length - 1, Math.max(0, Math.ceil((config.PRIORITY_FEE_PERCENTILE / 100) * sorted.length) - 1));
+  const percentileFee = sorted.length > 0 ? sorted[index] : 0;
+  const cap = Math.floor((config.PRIORITY_FEE_LAMPORTS * 1_000_000) / computeUnitLimit);
+  const price = Math.min(percentileFee, cap);
+
+  log(`Priority fee: ${price} µlamports/CU (p${config.PRIORITY_FEE_PERCENTILE} of ${sorted.length} slots: ${percentileFee}, cap: ${cap})`, 'INFO');
+  return price;
+}
+
+// Simulates the instructions with the maximum compute limit and adds a safety margin.
+// Instructions that need address lookup tables are simulated as a v0 transaction.
+async function estimateComputeUnits(connection, payer, instructions, blockhash, lookupTables = []) {
+  const budgetedInstructions = [ComputeBudgetProgram.setComputeUnitLimit({ units: MAX_COMPUTE_UNITS }), ...instructions];
+  let transaction;
+  if (lookupTables.length > 0) {
+    transaction = buildVersionedTransaction(payer, budgetedInstructions, blockhash, lookupTables);
+  } else {
+    transaction = new Transaction().add(...budgetedInstructions);
+    transaction.recentBlockhash = blockhash;
+    transaction.feePayer = payer;
+  }
+
+  try {
+    const value = await simulate(connection, transaction, []);
+    if (!value.err && value.unitsConsumed) {
+      return Math.min(MAX_COMPUTE_UNITS, Math.ceil(value.unitsConsumed * COMPUTE_UNIT_MARGIN));
+    }
+    log(`Warning: Compute unit estimate failed (${JSON.stringify(value.err)}), using ${DEFAULT_COMPUTE_UNITS}`, 'WARN');
+  } catch (error) {
+    log(`Warning: Compute unit estimate failed (${error.message}), using ${DEFAULT_COMPUTE_UNITS}`, 'WARN');
+  }
+
+  return DEFAULT_COMPUTE_UNITS;
+}
+
+// ============================================================================
+// VERSIONED TRANSACTIONS
+// ============================================================================
+
+function buildVersionedTransaction(payer, instructions, blockhash, lookupTables) {
+  const message = new TransactionMessage({ payerKey: payer, recentBlockhash: blockhash, instructions }).compileToV0Message(lookupTables);
+  return new VersionedTransaction(message);
+}
+
+// True if the transaction fits in one packet once signed. Serializing an oversized
+// message throws, so that counts as not fitting too.
+function fitsInPacket(transaction) {
+  try {
+    return transaction.serialize().length <= PACKET_DATA_SIZE;
+  } catch (error) {
+    return false;
+  }
+}
+
+// ============================================================================
+// SIMULATION (DRY RUN)
+// ============================================================================
+
+// SPL token account layout: [32 mint][32 owner][8 amount]...; returns the raw amount
+function readTokenAccountAmount(data) {
+  return data.readBigUInt64LE(64);
+}
+
+async function simulate(connection, transaction, watchAccounts) {
+  // Legacy transactions are wrapped so both paths share one unsigned simulation call
+  const versioned = transaction instanceof VersionedTransaction
+    ? transaction
+    : new VersionedTransaction(transaction.compileMessage());
+
+  const { value } = await connection.simulateTransaction(versioned, {
+    sigVerify: false,
+    replaceRecentBlockhash: true,
+    commitment: 'confirmed',
+    accounts: { encoding: 'base64', addresses: watchAccounts.map(account => account.toBase58()) },
+  });
+
+  return value;
+}
+
+function logSimulation(label, value) {
+  if (value.err) {
+    log(`❌ ${label} simulation failed: ${JSON.stringify(value.err)}`, 'ERROR');
+  } else {
+    log(`✅ ${label} simulation succeeded`, 'INFO');
+  }
+
+  log(`   Compute units: ${value.unitsConsumed !== undefined ? value.unitsConsumed : 'unknown'}`, 'INFO');
+  for (const line of value.logs || []) {
+    log(`   ${line}`, 'INFO');
+  }
+}
+
+module.exports = {
+  TRANSIENT_ERROR_PATTERN,
+  BLOCKHASH_NOT_FOUND_PATTERN,
+  delay,
+  withTransientRetry,
+  findLandedSignature,
+  confirmUntilExpiry,
+  sendAndConfirmTransaction,
+  checkLandedAfterError,
+  checkLandedTransaction,
+  getPriorityFeeMicroLamports,
+  estimateComputeUnits,
+  buildVersionedTransaction,
+  fitsInPacket,
+  readTokenAccountAmount,
+  simulate,
+  logSimulation,
+};
@@ -0,0 +1,356 @@
+/**
+ * Wallet loading and signers: raw keys, Solana CLI keypair files, encrypted
+ * keystores and remote signers.
+ */
+
+const { PublicKey, Keypair, VersionedTransaction } = require('@solana/web3.js');
+const bs58 = require('bs58').default || require('bs58');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const readline = require('readline');
+const YAML = require('yaml');
+const config = require('./config');
+const { parseSellSettings, checkStateAccount } = require('./config');
+const { redactUrl, registerSecret, log } = require('./logger');
+const { getFlag } = require('./cli');
+
+// ============================================================================
+// WALLET LOADING
+// ============================================================================
+
+// Every signer exposes { publicKey, description, signTransaction(transaction) }.
+// Only this section and the keystore command ever see secret keys.
+
+function parseSecretKey(value, keySource) {
+  if (!value) {
+    throw new Error(`${keySource} not found`);
+  }
+
+  try {
+    if (value.trim().startsWith('[')) {
+      return Keypair.fromSecretKey(Uint8Array.from(JSON.parse(value)));
+    }
+
+    return Keypair.fromSecretKey(bs58.decode(value.trim()));
+  } catch (error) {
+    throw new Error(`Failed to load wallet: ${error.message}`);
+  }
+}
+
+function createKeypairSigner(keypair, description) {
+  return {
+    publicKey: keypair.publicKey,
+    description,
+    async signTransaction(transaction) {
+      if (transaction instanceof VersionedTransaction) {
+        transaction.sign([keypair]);
+      } else {
+        transaction.partialSign(keypair);
+      }
+    },
+  };
+}
+
+// Ed25519 public keys in DER form, so Node's crypto can check remote signatures
+const ED25519_SPKI_PREFIX = Buffer.from('302a300506032b6570032100', 'hex');
+
+function verifySignature(publicKey, message, signature) {
+  const key = crypto.createPublicKey({
+    key: Buffer.concat([ED25519_SPKI_PREFIX, publicKey.toBuffer()]),
+    format: 'der',
+    type: 'spki',
+  });
+  return crypto.verify(null, Buffer.from(message), key, Buffer.from(signature));
+}
+
+async function createRemoteSigner(url) {
+  const baseUrl = url.replace(/\/+$/, '');
+
+  const response = await fetch(`${baseUrl}/publicKey`);
+  if (!response.ok) {
+    throw new Error(`Remote signer ${baseUrl} failed (${response.status}): ${await response.text()}`);
+  }
+  const publicKey = new PublicKey((await response.json()).publicKey);
+
+  return {
+    publicKey,
+    description: `remote signer ${baseUrl}`,
+    async signTransaction(transaction) {
+      const message = transaction instanceof VersionedTransaction
+        ? transaction.message.serialize()
+        : transaction.serializeMessage();
+
+      const signResponse = await fetch(`${baseUrl}/sign`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ publicKey: publicKey.toBase58(), message: Buffer.from(message).toString('base64') }),
+      });
+      if (!signResponse.ok) {
+        throw new Error(`Remote signer ${baseUrl} refused to sign (${signResponse.status}): ${await signResponse.text()}`);
+      }
+
+      const signature = bs58.decode((await signResponse.json()).signature);
+      if (signature.length !== 64 || !verifySignature(publicKey, message, signature)) {
+        throw new Error(`Remote signer ${baseUrl} returned an invalid signature`);
+      }
+
+      transaction.addSignature(publicKey, Buffer.from(signature));
+    },
+  };
+}
+
+function promptHidden(question) {
+  return new Promise((resolve, reject) => {
+    if (!process.stdin.isTTY) {
+      reject(new Error('No passphrase provided and no terminal to prompt on'));
+      return;
+    }
+
+    const rl = readline.createInterface({ input: process.stdin, output: process.stdout, terminal: true });
+    rl._writeToOutput = text => {
+      // Echo the prompt itself but nothing the user types
+      if (text.startsWith(question)) {
+        rl.output.write(text);
+      }
+    };
+    rl.question(question, answer => {
+      rl.close();
+      process.stdout.write('\n');
+      resolve(answer);
+    });
+  });
+}
+
+function deriveKeystoreKey(passphrase, kdfparams) {
+  return crypto.scryptSync(passphrase, Buffer.from(kdfparams.salt, 'hex'), 32, {
+    N: kdfparams.n,
+    r: kdfparams.r,
+    p: kdfparams.p,
+    maxmem: 256 * 1024 * 1024,
+  });
+}
+
+function encryptKeystore(keypair, passphrase) {
+  const kdfparams = { n: 2 ** 17, r: 8, p: 1, salt: crypto.randomBytes(32).toString('hex') };
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', deriveKeystoreKey(passphrase, kdfparams), iv);
+  const ciphertext = Buffer.concat([cipher.update(Buffer.from(keypair.secretKey)), cipher.final()]);
+
+  return {
+    version: 1,
+    publicKey: keypair.publicKey.toBase58(),
+    kdf: 'scrypt',
+    kdfparams,
+    cipher: 'aes-256-gcm',
+    iv: iv.toString('hex'),
+    authTag: cipher.getAuthTag().toString('hex'),
+    ciphertext: ciphertext.toString('hex'),
+  };
+}
+
+function decryptKeystore(keystore, passphrase, filePath) {
+  if (keystore.version !== 1 || keystore.kdf !== 'scrypt' || keystore.cipher !== 'aes-256-gcm') {
+    throw new Error(`Unsupported keystore format in ${filePath}`);
+  }
+
+  let secretKey;
+  try {
+    const decipher = crypto.createDecipheriv('aes-256-gcm', deriveKeystoreKey(passphrase, keystore.kdfparams), Buffer.from(keystore.iv, 'hex'));
+    decipher.setAuthTag(Buffer.from(keystore.authTag, 'hex'));
+    secretKey = Buffer.concat([decipher.update(Buffer.from(keystore.ciphertext, 'hex')), decipher.final()]);
+  } catch (error) {
+    throw new Error(`Failed to unlock keystore ${filePath}: wrong passphrase or corrupted file`);
+  }
+
+  const keypair = Keypair.fromSecretKey(secretKey);
+  if (keypair.publicKey.toBase58() !== keystore.publicKey) {
+    throw new Error(`Keystore ${filePath} decrypted to an unexpected public key`);
+  }
+  return keypair;
+}
+
+// dotenv does not expand "~", so paths copied from the Solana CLI docs need it done here
+function resolveUserPath(filePath) {
+  if (filePath === '~' || /^~[\\/]/.test(filePath)) {
+    return path.join(os.homedir(), filePath.slice(1));
+  }
+  return path.resolve(filePath);
+}
+
+function readJsonFile(filePath, label) {
+  try {
+    return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    throw new Error(`Failed to read ${label} ${filePath}: ${error.message}`);
+  }
+}
+
+async function loadWallet(signerConfig) {
+  switch (signerConfig.type) {
+    case 'remote':
+      return createRemoteSigner(signerConfig.url);
+
+    case 'keystore': {
+      const filePath = resolveUserPath(signerConfig.path);
+      const keystore = readJsonFile(filePath, 'keystore');
+      const passphrase = signerConfig.password || await promptHidden(`Passphrase for ${filePath}: `);
+      return createKeypairSigner(decryptKeystore(keystore, passphrase, filePath), `keystore ${filePath}`);
+    }
+
+    case 'file': {
+      // Standard Solana CLI keypair file: JSON array of the 64-byte secret key
+      const filePath = resolveUserPath(signerConfig.path);
+      const secretKey = readJsonFile(filePath, 'keypair file');
+      return createKeypairSigner(Keypair.fromSecretKey(Uint8Array.from(secretKey)), `keypair file ${filePath}`);
+    }
+
+    default:
+      return createKeypairSigner(parseSecretKey(signerConfig.privateKey, signerConfig.keySource), signerConfig.keySource);
+  }
+}
+
+// Signer from WALLET_* variables, or from the signer fields of a wallets file entry
+function resolveSignerConfig(source, name) {
+  // Secrets from a wallets file never pass through the environment, so the logger learns them here
+  registerSecret(source.privateKey);
+  registerSecret(source.keystorePassword);
+  if (source.remoteSignerUrl) {
+    registerSecret(source.remoteSignerUrl.replace(/\/+$/, ''), redactUrl(source.remoteSignerUrl));
+  }
+
+  if (source.remoteSignerUrl) {
+    return { type: 'remote', url: source.remoteSignerUrl };
+  }
+  if (source.keystorePath) {
+    return { type: 'keystore', path: source.keystorePath, password: source.keystorePassword };
+  }
+  if (source.keypairPath) {
+    return { type: 'file', path: source.keypairPath };
+  }
+  if (source.privateKeyEnv) {
+    return { type: 'key', privateKey: process.env[source.privateKeyEnv], keySource: `${source.privateKeyEnv} (wallet ${name})` };
+  }
+  return { type: 'key', privateKey: source.privateKey, keySource: source.keySource || `privateKey for wallet ${name}` };
+}
+
+function loadWalletConfigs() {
+  if (!config.WALLETS_FILE) {
+    return [{
+      name: 'default',
+      signer: resolveSignerConfig({
+        remoteSignerUrl: process.env.WALLET_REMOTE_SIGNER_URL,
+        keystorePath: process.env.WALLET_KEYSTORE_PATH,
+        keystorePassword: process.env.WALLET_KEYSTORE_PASSWORD,
+        keypairPath: process.env.WALLET_KEYPAIR_PATH,
+        privateKey: process.env.WALLET_PRIVATE_KEY,
+        keySource: 'WALLET_PRIVATE_KEY in .env.local',
+      }, 'default'),
+      settings: { ...config.DEFAULT_SELL_SETTINGS },
+      stateAccount: config.USER_STATE_ACCOUNT,
+    }];
+  }
+
+  const filePath = resolveUserPath(config.WALLETS_FILE);
+  let parsed;
+  try {
+    const raw = fs.readFileSync(filePath, 'utf8');
+    parsed = /\.ya?ml$/i.test(filePath) ? YAML.parse(raw) : JSON.parse(raw);
+  } catch (error) {
+    throw new Error(`Failed to read wallets file ${filePath}: ${error.message}`);
+  }
+
+  const entries = Array.isArray(parsed) ? parsed : parsed && parsed.wallets;
+  if (!Array.isArray(entries) || entries.length === 0) {
+    throw new Error(`Wallets file ${filePath} must contain a non-empty "wallets" list`);
+  }
+
+  return entries.map((entry, index) => {
+    const {
+      name = `wallet-${index + 1}`,
+      privateKey, privateKeyEnv, keypairPath, keystorePath, keystorePasswordEnv, remoteSignerUrl,
+      stateAccount = config.USER_STATE_ACCOUNT,
+      ...overrides
+    } = entry;
+
+    const settings = parseSellSettings(overrides, `wallet ${name} in ${filePath}`);
+    if (stateAccount) {
+      try {
+        checkStateAccount(String(stateAccount));
+      } catch (error) {
+        throw new Error(`Invalid stateAccount for wallet ${name} in ${filePath}: ${error.message}`);
+      }
+    }
+
+    // Keys are decoded per wallet at run time so one bad key does not block the others
+    return {
+      name,
+      signer: resolveSignerConfig({
+        remoteSignerUrl,
+        keystorePath,
+        keystorePassword: keystorePasswordEnv ? process.env[keystorePasswordEnv] : undefined,
+        keypairPath,
+        privateKeyEnv,
+        privateKey,
+      }, name),
+      settings: { ...config.DEFAULT_SELL_SETTINGS, ...settings },
+      stateAccount: stateAccount ? String(stateAccount) : '',
+    };
+  });
+}
+
+// ============================================================================
+// KEYSTORE COMMAND
+// ============================================================================
+
+async function keystore() {
+  const output = getFlag('output');
+  if (!output) {
+    throw new Error('Usage: keystore --output <file> [--keypair <solana-keypair.json>]');
+  }
+
+  const outputPath = resolveUserPath(output);
+  if (fs.existsSync(outputPath)) {
+    throw new Error(`${outputPath} already exists, refusing to overwrite`);
+  }
+
+  // Encrypt either a Solana CLI keypair file or the raw WALLET_PRIVATE_KEY
+  const keypairPath = getFlag('keypair');
+  const keypair = keypairPath
+    ? Keypair.fromSecretKey(Uint8Array.from(readJsonFile(resolveUserPath(keypairPath), 'keypair file')))
+    : parseSecretKey(process.env.WALLET_PRIVATE_KEY, 'WALLET_PRIVATE_KEY in .env.local');
+
+  let passphrase = process.env.WALLET_KEYSTORE_PASSWORD;
+  if (!passphrase) {
+    passphrase = await promptHidden('New keystore passphrase: ');
+    if (passphrase !== await promptHidden('Repeat passphrase: ')) {
+      throw new Error('Passphrases do not match');
+    }
+  }
+  if (!passphrase) {
+    throw new Error('Keystore passphrase must not be empty');
+  }
+
+  fs.writeFileSync(outputPath, JSON.stringify(encryptKeystore(keypair, passphrase), null, 2) + '\n', { mode: 0o600 });
+
+  log(`Keystore for ${keypair.publicKey.toBase58()} written to ${outputPath}`, 'INFO');
+  log('Set WALLET_KEYSTORE_PATH to this file and remove WALLET_PRIVATE_KEY from .env.local', 'INFO');
+}
+
+module.exports = {
+  parseSecretKey,
+  createKeypairSigner,
+  verifySignature,
+  createRemoteSigner,
+  promptHidden,
+  deriveKeystoreKey,
+  encryptKeystore,
+  decryptKeystore,
+  resolveUserPath,
+  readJsonFile,
+  loadWallet,
+  resolveSignerConfig,
+  loadWalletConfigs,
+  keystore,
+};
@@ -0,0 +1,157 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { Keypair, TransactionInstruction, TransactionMessage, PublicKey } = require('@solana/web3.js');
+const { getAssociatedTokenAddressSync, TOKEN_PROGRAM_ID } = require('@solana/spl-token');
+const { config, getActualClaimedAmount, readClaimableRewards, claimAndSell } = require('../scripts/lib');
+const { configureForTests, createFakeConnection } = require('./helpers');
+
+configureForTests();
+
+const wallet = Keypair.generate().publicKey;
+const wattAccount = getAssociatedTokenAddressSync(config.WATT_MINT, wallet, false, TOKEN_PROGRAM_ID);
+
+// A confirmed claim whose account keys are [wallet, WATT account, token program]
+function claimTransaction({ pre, post, mint = config.WATT_MINT.toBase58(), accounts = [wattAccount] }) {
+  const message = new TransactionMessage({
+    payerKey: wallet,
+    recentBlockhash: PublicKey.default.toBase58(),
+    instructions: [new TransactionInstruction({
+      programId: TOKEN_PROGRAM_ID,
+      keys: accounts.map(pubkey => ({ pubkey, isSigner: false, isWritable: true })),
+      data: Buffer.alloc(0),
+    })],
+  }).compileToV0Message();
+  const tokenBalance = amount => ({ accountIndex: 1, mint, uiTokenAmount: { amount } });
+
+  return {
+    transaction: { message },
+    meta: {
+      loadedAddresses: { writable: [], readonly: [] },
+      preTokenBalances: pre === undefined ? [] : [tokenBalance(pre)],
+      postTokenBalances: [tokenBalance(post)],
+    },
+  };
+}
+
+function connectionReturning(tx) {
+  return createFakeConnection({ getTransaction: async () => tx });
+}
+
+test('getActualClaimedAmount returns the exact raw delta of the WATT account', async () => {
+  const connection = connectionReturning(claimTransaction({ pre: '1500000', post: '13834567' }));
+  assert.strictEqual(await getActualClaimedAmount(connection, 'sig', wallet), 12_334_567n);
+});
+
+test('getActualClaimedAmount counts the whole balance when the claim created the WATT account', async () => {
+  const connection = connectionReturning(claimTransaction({ post: '2500001' }));
+  assert.strictEqual(await getActualClaimedAmount(connection, 'sig', wallet), 2_500_001n);
+});
+
+test('getActualClaimedAmount keeps amounts beyond Number precision exact', async () => {
+  const connection = connectionReturning(claimTransaction({ pre: '9007199254740993', post: '9007199254740995' }));
+  assert.strictEqual(await getActualClaimedAmount(connection, 'sig', wallet), 2n);
+});
+
+test('getActualClaimedAmount returns null when the transaction is not found', async () => {
+  assert.strictEqual(await getActualClaimedAmount(connectionReturning(null), 'sig', wallet), null);
+});
+
+test('getActualClaimedAmount returns null when the WATT account is not in the transaction', async () => {
+  const other = Keypair.generate().publicKey;
+  const connection = connectionReturning(claimTransaction({ pre: '0', post: '5', accounts: [other] }));
+  assert.strictEqual(await getActualClaimedAmount(connection, 'sig', wallet), null);
+});
+
+test('getActualClaimedAmount ignores token balances of another mint', async () => {
+  const connection = connectionReturning(claimTransaction({ pre: '0', post: '5', mint: Keypair.generate().publicKey.toBase58() }));
+  assert.strictEqual(await getActualClaimedAmount(connection, 'sig', wallet), null);
+});
+
+test('getActualClaimedAmount returns null when the RPC call fails', async () => {
+  const connection = createFakeConnection({
+    getTransaction: async () => {
+      throw new Error('429 Too Many Requests');
+    },
+  });
+  assert.strictEqual(await getActualClaimedAmount(connection, 'sig', wallet), null);
+});
+
+// ============================================================================
+// STATE DECODING
+// ============================================================================
+
+const now = Math.floor(Date.now() / 1000);
+const SUPPLY = 1_000_000_000_000_000n;
+
+// Accounts laid out as USER_STATE_LAYOUT and GLOBAL_CONFIG_LAYOUT describe them
+function userStateData({ owner = wallet, hashPower = 10n, lastClaimTime = now - 3600, accrued = 5_000_000n } = {}) {
+  const data = Buffer.alloc(config.USER_STATE_LAYOUT.size);
+  owner.toBuffer().copy(data, config.USER_STATE_LAYOUT.owner);
+  data.writeBigUInt64LE(hashPower, config.USER_STATE_LAYOUT.hashPower);
+  data.writeBigInt64LE(BigInt(lastClaimTime), config.USER_STATE_LAYOUT.lastClaimTime);
+  data.writeBigUInt64LE(accrued, config.USER_STATE_LAYOUT.accruedRewards);
+  return data;
+}
+
+function globalConfigData({ mint = config.WATT_MINT, rate = 1_000n, totalHashPower = 1_000n } = {}) {
+  const data = Buffer.alloc(config.GLOBAL_CONFIG_LAYOUT.size + 16);
+  Keypair.generate().publicKey.toBuffer().copy(data, config.GLOBAL_CONFIG_LAYOUT.authority);
+  mint.toBuffer().copy(data, config.GLOBAL_CONFIG_LAYOUT.wattMint);
+  data.writeBigUInt64LE(rate, config.GLOBAL_CONFIG_LAYOUT.rewardRatePerSecond);
+  data.writeBigUInt64LE(totalHashPower, config.GLOBAL_CONFIG_LAYOUT.totalHashPower);
+  return data;
+}
+
+function stateConnection(user, global) {
+  const mint = Buffer.alloc(82);
+  mint.writeBigUInt64LE(SUPPLY, 36);
+  return createFakeConnection({
+    getMultipleAccountsInfo: async () => [{ data: user }, { data: global }, { data: mint }],
+  });
+}
+
+const stateAccount = Keypair.generate().publicKey;
+
+test('readClaimableRewards adds the share of emissions since the last claim', async () => {
+  const { userState, globalConfig, claimable } = await readClaimableRewards(stateConnection(userStateData(), globalConfigData()), wallet, stateAccount);
+
+  assert.ok(userState.owner.equals(wallet));
+  assert.ok(globalConfig.wattMint.equals(config.WATT_MINT));
+  // 5 WATT accrued + 1000/s for about an hour at a 1% share
+  const pending = claimable - 5_000_000n;
+  assert.ok(pending >= 36_000n && pending <= 36_100n, `pending ${pending}`);
+});
+
+test('readClaimableRewards rejects decoded values that cannot be right', async () => {
+  const cases = [
+    [userStateData({ owner: Keypair.generate().publicKey }), globalConfigData(), /is not wallet/],
+    [userStateData(), globalConfigData({ mint: Keypair.generate().publicKey }), /global config mint/],
+    [userStateData({ lastClaimTime: 0 }), globalConfigData(), /last claim time 0/],
+    [userStateData({ lastClaimTime: now + 86_400 }), globalConfigData(), /not in the past/],
+    [userStateData(), globalConfigData({ rate: SUPPLY }), /reward rate/],
+    [userStateData({ hashPower: 2_000n }), globalConfigData(), /hash power/],
+  ];
+
+  for (const [user, global, expected] of cases) {
+    await assert.rejects(readClaimableRewards(stateConnection(user, global), wallet, stateAccount), expected);
+  }
+});
+
+test('claimAndSell skips the claim when the decoded state looks wrong', async (t) => {
+  const owner = Keypair.generate();
+  const user = userStateData({ owner: owner.publicKey, lastClaimTime: 0 });
+  // Any call past the state read (fee checks, the claim itself) fails the fake connection
+  const connection = createFakeConnection({
+    getTokenAccountBalance: async () => ({ value: { amount: '0', decimals: 6 } }),
+    getMultipleAccountsInfo: stateConnection(user, globalConfigData()).getMultipleAccountsInfo,
+  });
+  const result = { claimed: 0n, sellDecided: false };
+
+  await claimAndSell(connection, null, owner, stateAccount, { autoSellEnabled: true }, result);
+  assert.strictEqual(result.skipped, 'rewards unreadable');
+  assert.strictEqual(result.claimed, 0n);
+
+  configureForTests({ CLAIM_WITHOUT_REWARDS_CHECK: true });
+  t.after(() => configureForTests());
+  await assert.rejects(claimAndSell(connection, null, owner, stateAccount, { autoSellEnabled: true }, {}), /Unexpected Connection\./);
+});
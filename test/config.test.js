@@ -0,0 +1,37 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { config } = require('../scripts/lib');
+const { configureForTests } = require('./helpers');
+
+configureForTests();
+
+test('configure reloads settings from a config file and flags, flags first', (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'watt-bot-config-'));
+  const file = path.join(dir, 'bot.yaml');
+  fs.writeFileSync(file, 'SLIPPAGE_BPS: 30\nMIN_CLAIMABLE_WATT: 5\n');
+  t.after(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+    config.configure({}, {});
+    configureForTests();
+  });
+
+  config.configure({}, { configFile: file, flags: { SLIPPAGE_BPS: '75' } });
+  assert.strictEqual(config.CONFIG_FILE, file);
+  assert.strictEqual(config.SLIPPAGE_BPS, 75);
+  assert.strictEqual(config.CONFIG_SOURCES.SLIPPAGE_BPS, '--slippage-bps');
+  assert.strictEqual(config.MIN_CLAIMABLE_WATT, 5);
+  assert.strictEqual(config.CONFIG_SOURCES.MIN_CLAIMABLE_WATT, file);
+});
+
+test('configure leaves invalid flags for validateConfig to report', (t) => {
+  t.after(() => {
+    config.configure({}, {});
+    configureForTests();
+  });
+
+  config.configure({}, { flags: { SLIPPAGE_BPS: 'lots' } });
+  assert.throws(() => config.validateConfig(), /SLIPPAGE_BPS \(from --slippage-bps\): "lots" is not a number/);
+});
@@ -0,0 +1,154 @@
+/**
+ * Fakes for the offline tests: a stub Solana Connection, a local Jupiter server and a
+ * local endpoint for notifications.
+ */
+
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const {
+  Keypair,
+  PublicKey,
+  SystemProgram,
+  TransactionMessage,
+  VersionedTransaction,
+} = require('@solana/web3.js');
+const { config, createJupiterClient } = require('../scripts/lib');
+
+// Logs from the tests go here rather than to the real logs/ directory
+const TEST_LOG_DIR = path.join(os.tmpdir(), `watt-bot-test-logs-${process.pid}`);
+process.on('exit', () => fs.rmSync(TEST_LOG_DIR, { recursive: true, force: true }));
+
+// Quiet, simulated runs unless a test says otherwise
+function configureForTests(overrides = {}) {
+  config.configure({
+    DRY_RUN: true,
+    LOG_DIR: TEST_LOG_DIR,
+    LOG_LEVEL: 'ERROR',
+    PRIORITY_FEE_LAMPORTS: 0,
+    NOTIFY_WEBHOOK_URL: '',
+    NOTIFY_DISCORD_WEBHOOK_URL: '',
+    NOTIFY_TELEGRAM_BOT_TOKEN: '',
+    NOTIFY_EVENTS: '',
+    NOTIFY_RATE_LIMIT_PER_MINUTE: 20,
+    NOTIFY_TEMPLATE_CLAIM: '',
+    NOTIFY_TEMPLATE_SWAP: '',
+    NOTIFY_TEMPLATE_SELL_SKIPPED: '',
+    NOTIFY_TEMPLATE_ERROR: '',
+    ...overrides,
+  });
+}
+
+// A Connection with only the methods a test needs; any other call fails loudly
+function createFakeConnection(methods = {}) {
+  return new Proxy(methods, {
+    get(target, name) {
+      if (name in target || typeof name !== 'string' || name === 'then') {
+        return target[name];
+      }
+      return () => {
+        throw new Error(`Unexpected Connection.${name}() call`);
+      };
+    },
+  });
+}
+
+// Mint account data with the decimals at byte 44, as resolveToken() reads it
+function mintAccount(decimals, owner) {
+  const data = Buffer.alloc(82);
+  data[44] = decimals;
+  return { owner, data, executable: false, lamports: 1_461_600 };
+}
+
+// A serialized v0 transaction, as Jupiter's /swap returns it
+function serializedTransaction(payer) {
+  const message = new TransactionMessage({
+    payerKey: payer,
+    recentBlockhash: PublicKey.default.toBase58(),
+    instructions: [SystemProgram.transfer({ fromPubkey: payer, toPubkey: Keypair.generate().publicKey, lamports: 1 })],
+  }).compileToV0Message();
+  return Buffer.from(new VersionedTransaction(message).serialize()).toString('base64');
+}
+
+// Quotes priced from a table of routes, e.g. { 'WATT-USDC': 0.05 } (output per input, in UI units)
+function quoteFrom(routes) {
+  const { WATT, SOL, USDC } = config.TOKEN_ADDRESSES;
+  const decimals = { [WATT]: 6, [SOL]: 9, [USDC]: 6 };
+  const symbols = { [WATT]: 'WATT', [SOL]: 'SOL', [USDC]: 'USDC' };
+  return ({ inputMint, outputMint, amount }) => {
+    const rate = routes[`${symbols[inputMint]}-${symbols[outputMint]}`];
+    if (rate === undefined) {
+      return { status: 400, body: '{"error":"Could not find any route"}' };
+    }
+    const outAmount = Math.round((Number(amount) / 10 ** decimals[inputMint]) * rate * 10 ** decimals[outputMint]);
+    return { inputMint, outputMint, inAmount: amount, outAmount: String(outAmount), otherAmountThreshold: String(outAmount), priceImpactPct: '0', routePlan: [] };
+  };
+}
+
+// Local Jupiter API. handlers.quote(params) returns a quote, or { status, body } for an error;
+// handlers.swap(body) returns the /swap response. Every request is kept in `requests`.
+async function startFakeJupiter(handlers) {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    let raw = '';
+    req.on('data', chunk => {
+      raw += chunk;
+    });
+    req.on('end', async () => {
+      const url = new URL(req.url, 'http://localhost');
+      const endpoint = url.pathname.replace(/^\//, '');
+      const params = Object.fromEntries(url.searchParams);
+      const body = raw ? JSON.parse(raw) : null;
+      requests.push({ endpoint, params, body });
+
+      const handler = handlers[endpoint];
+      const result = handler ? await handler(endpoint === 'quote' ? params : body) : { status: 404, body: 'not found' };
+      const failed = result && result.status !== undefined;
+      res.writeHead(failed ? result.status : 200, { 'Content-Type': 'application/json' });
+      res.end(failed ? String(result.body) : JSON.stringify(result));
+    });
+  });
+
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const baseUrl = `http://127.0.0.1:${server.address().port}`;
+  return {
+    baseUrl,
+    requests,
+    jupiter: createJupiterClient({ baseUrl }),
+    close: () => new Promise(resolve => server.close(resolve)),
+  };
+}
+
+// Local HTTP endpoint that keeps every POST as { path, body } and answers with status(path)
+async function startStubServer(status = () => 200) {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    let raw = '';
+    req.on('data', chunk => {
+      raw += chunk;
+    });
+    req.on('end', () => {
+      requests.push({ path: req.url, body: raw ? JSON.parse(raw) : null });
+      res.writeHead(status(req.url));
+      res.end();
+    });
+  });
+
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  return {
+    url: `http://127.0.0.1:${server.address().port}`,
+    requests,
+    close: () => new Promise(resolve => server.close(resolve)),
+  };
+}
+
+module.exports = {
+  configureForTests,
+  createFakeConnection,
+  mintAccount,
+  serializedTransaction,
+  quoteFrom,
+  startFakeJupiter,
+  startStubServer,
+};
@@ -0,0 +1,21 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { redact, registerSecret } = require('../scripts/lib/logger');
+const { configureForTests } = require('./helpers');
+
+configureForTests();
+
+test('redact hides secrets set with configure() after the first log line', (t) => {
+  t.after(() => configureForTests());
+  assert.strictEqual(redact('nothing secret yet'), 'nothing secret yet');
+
+  configureForTests({ NOTIFY_TELEGRAM_BOT_TOKEN: '123456:telegram-bot-token' });
+  assert.strictEqual(redact('POST /bot123456:telegram-bot-token/sendMessage'), 'POST /bot[REDACTED]/sendMessage');
+});
+
+test('redact keeps registered secrets when the settings change', () => {
+  registerSecret('registered-wallet-secret');
+  configureForTests({ LOG_LEVEL: 'WARN' });
+  configureForTests();
+  assert.strictEqual(redact('key registered-wallet-secret'), 'key [REDACTED]');
+});
@@ -0,0 +1,96 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createNotifyChannels, renderTemplate, notify } = require('../scripts/lib/notifier');
+const { configureForTests, startStubServer } = require('./helpers');
+
+configureForTests();
+
+let hoursAhead = 0;
+
+// Webhook and Discord channels pointed at a local stub. Each test runs its clock an hour
+// further ahead, so sends of earlier tests never count against the rate limit.
+async function startChannels(t, settings = {}, status) {
+  const server = await startStubServer(status);
+  t.after(server.close);
+  t.after(() => configureForTests());
+  hoursAhead += 1;
+  t.mock.timers.enable({ apis: ['Date'], now: Date.now() + hoursAhead * 3_600_000 });
+
+  configureForTests({
+    NOTIFY_WEBHOOK_URL: `${server.url}/webhook`,
+    NOTIFY_DISCORD_WEBHOOK_URL: `${server.url}/discord`,
+    ...settings,
+  });
+  return server;
+}
+
+test('renderTemplate fills placeholders and leaves missing fields empty', () => {
+  assert.strictEqual(renderTemplate('{amount} WATT to {wallet}{missing}', { amount: '1.5', wallet: 'abc', missing: null }), '1.5 WATT to abc');
+});
+
+test('notify sends the rendered template to the webhook and Discord', async t => {
+  const server = await startChannels(t);
+
+  await notify('claim', { wallet: 'Wa11et', amount: '12.345678', link: 'https://solscan.io/tx/sig' });
+
+  const text = 'DRY RUN: ✅ Claimed 12.345678 WATT (Wa11et)\nhttps://solscan.io/tx/sig';
+  assert.deepStrictEqual(server.requests, [
+    { path: '/webhook', body: { event: 'claim', text, dryRun: true, wallet: 'Wa11et', amount: '12.345678', link: 'https://solscan.io/tx/sig' } },
+    { path: '/discord', body: { content: text } },
+  ]);
+});
+
+test('notify uses NOTIFY_TEMPLATE_<EVENT> when it is set', async t => {
+  const server = await startChannels(t, { NOTIFY_DISCORD_WEBHOOK_URL: '', NOTIFY_TEMPLATE_SELL_SKIPPED: 'Skipped for {wallet}:\\n{reason}' });
+
+  await notify('sell_skipped', { wallet: 'Wa11et', reason: 'price below minimum' });
+  assert.strictEqual(server.requests[0].body.text, 'DRY RUN: Skipped for Wa11et:\nprice below minimum');
+});
+
+test('notify only sends the events in NOTIFY_EVENTS', async t => {
+  const server = await startChannels(t, { NOTIFY_EVENTS: 'error', NOTIFY_DISCORD_WEBHOOK_URL: '' });
+
+  await notify('claim', { wallet: 'Wa11et', amount: '1' });
+  await notify('swap', { wallet: 'Wa11et', inputAmount: '1' });
+  await notify('error', { wallet: 'Wa11et', message: 'RPC down' });
+
+  assert.deepStrictEqual(server.requests.map(request => request.body.event), ['error']);
+});
+
+test('notify drops messages over NOTIFY_RATE_LIMIT_PER_MINUTE per channel', async t => {
+  const server = await startChannels(t, { NOTIFY_RATE_LIMIT_PER_MINUTE: 2 });
+
+  for (let i = 0; i < 3; i++) {
+    await notify('error', { wallet: 'Wa11et', message: `failure ${i}` });
+  }
+  assert.strictEqual(server.requests.filter(request => request.path === '/webhook').length, 2);
+  assert.strictEqual(server.requests.filter(request => request.path === '/discord').length, 2);
+
+  // A minute later the channel accepts messages again
+  t.mock.timers.tick(60_000);
+  await notify('error', { wallet: 'Wa11et', message: 'failure 3' });
+  assert.strictEqual(server.requests.filter(request => request.path === '/webhook').length, 3);
+});
+
+test('a failing webhook does not throw and does not stop the other channels', async t => {
+  const server = await startChannels(t, {}, path => (path === '/webhook' ? 500 : 204));
+
+  await assert.doesNotReject(notify('error', { wallet: 'Wa11et', message: 'boom' }));
+  assert.deepStrictEqual(server.requests.map(request => request.path), ['/webhook', '/discord']);
+});
+
+test('an unreachable webhook does not throw', async t => {
+  const server = await startChannels(t);
+  await server.close();
+
+  await assert.doesNotReject(notify('claim', { wallet: 'Wa11et', amount: '1' }));
+});
+
+test('the Telegram channel posts the text to the bot API', t => {
+  configureForTests({ NOTIFY_TELEGRAM_BOT_TOKEN: '123:abc', NOTIFY_TELEGRAM_CHAT_ID: '-10042' });
+  t.after(() => configureForTests());
+
+  const [telegram] = createNotifyChannels();
+  assert.strictEqual(telegram.url, 'https://api.telegram.org/bot123:abc/sendMessage');
+  assert.deepStrictEqual(telegram.body('claim', 'hello', {}), { chat_id: '-10042', text: 'hello', disable_web_page_preview: true });
+});
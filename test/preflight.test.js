@@ -0,0 +1,66 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { Keypair } = require('@solana/web3.js');
+const { TOKEN_PROGRAM_ID } = require('@solana/spl-token');
+const { config, checkProgramAccounts } = require('../scripts/lib');
+const { readStateFile } = require('../scripts/lib/state');
+const { configureForTests, createFakeConnection } = require('./helpers');
+
+configureForTests();
+
+const programData = Keypair.generate().publicKey;
+// The slot a local data/programState.json already holds, so a real checkout does not see an upgrade
+const DEPLOY_SLOT = readStateFile(config.PROGRAM_STATE_FILE, {}).deploySlot || 250_000_000;
+
+// The program, global config and vault as checkProgramAccounts expects them
+function programAccounts({ globalConfigSize = config.GLOBAL_CONFIG_LAYOUT.size } = {}) {
+  const program = Buffer.alloc(config.PROGRAM_ACCOUNT_SIZE);
+  program.writeUInt32LE(2, 0);
+  programData.toBuffer().copy(program, 4);
+
+  const globalConfig = Buffer.alloc(globalConfigSize);
+  config.WATT_MINT.toBuffer().copy(globalConfig, config.GLOBAL_CONFIG_LAYOUT.wattMint);
+  const vault = Buffer.alloc(config.TOKEN_ACCOUNT_SIZE);
+  config.WATT_MINT.toBuffer().copy(vault, 0);
+
+  return [
+    { owner: config.BPF_UPGRADEABLE_LOADER_ID, data: program, executable: true },
+    { owner: config.PROGRAM_ID, data: globalConfig, executable: false },
+    { owner: TOKEN_PROGRAM_ID, data: vault, executable: false },
+  ];
+}
+
+function programConnection(accounts, deploySlot = DEPLOY_SLOT) {
+  const data = Buffer.alloc(45);
+  data.writeUInt32LE(3, 0);
+  data.writeBigUInt64LE(BigInt(deploySlot), config.PROGRAM_DATA_SLOT_OFFSET);
+  return createFakeConnection({
+    getMultipleAccountsInfo: async () => accounts,
+    getAccountInfo: async pubkey => (pubkey.equals(programData) ? { data } : null),
+  });
+}
+
+test('checkProgramAccounts accepts matching accounts and reads the deploy slot', async () => {
+  const [program, globalConfig, vault] = await checkProgramAccounts(programConnection(programAccounts()));
+
+  assert.deepStrictEqual([program.problems, globalConfig.problems, vault.problems], [[], [], []]);
+  assert.strictEqual(program.deploySlot, DEPLOY_SLOT);
+});
+
+test('checkProgramAccounts lets the global config grow but not shrink', async () => {
+  const [, grown] = await checkProgramAccounts(programConnection(programAccounts({ globalConfigSize: config.GLOBAL_CONFIG_LAYOUT.size + 64 })));
+  const [, shrunk] = await checkProgramAccounts(programConnection(programAccounts({ globalConfigSize: config.GLOBAL_CONFIG_LAYOUT.size - 8 })));
+
+  assert.deepStrictEqual(grown.problems, []);
+  assert.deepStrictEqual(shrunk.problems, [`size is ${config.GLOBAL_CONFIG_LAYOUT.size - 8} bytes, expected at least ${config.GLOBAL_CONFIG_LAYOUT.size}`]);
+});
+
+test('checkProgramAccounts reports a missing program data account', async () => {
+  const connection = createFakeConnection({
+    getMultipleAccountsInfo: async () => programAccounts(),
+    getAccountInfo: async () => null,
+  });
+  const [program] = await checkProgramAccounts(connection);
+
+  assert.deepStrictEqual(program.problems, [`program data account ${programData.toBase58()} not found`]);
+});
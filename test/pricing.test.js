@@ -0,0 +1,74 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { config, createJupiterClient, getWattPriceUSD, loadPriceHistory } = require('../scripts/lib');
+const { configureForTests, startFakeJupiter, quoteFrom } = require('./helpers');
+
+configureForTests();
+
+const { WATT, SOL, USDC } = config.TOKEN_ADDRESSES;
+
+test('getWattPriceUSD uses the direct WATT/USDC quote', async t => {
+  const server = await startFakeJupiter({ quote: quoteFrom({ 'WATT-USDC': 0.0425 }) });
+  t.after(server.close);
+
+  assert.strictEqual(await getWattPriceUSD(server.jupiter, 0), 0.0425);
+  assert.deepStrictEqual(server.requests.map(request => request.params.outputMint), [USDC]);
+});
+
+test('getWattPriceUSD falls back to WATT → SOL → USDC when there is no direct route', async t => {
+  const server = await startFakeJupiter({ quote: quoteFrom({ 'WATT-SOL': 0.0005, 'SOL-USDC': 150 }) });
+  t.after(server.close);
+
+  const price = await getWattPriceUSD(server.jupiter, 0);
+  assert.ok(Math.abs(price - 0.075) < 1e-12, `expected $0.075, got ${price}`);
+  assert.deepStrictEqual(
+    server.requests.map(({ params }) => [params.inputMint, params.outputMint, params.amount]),
+    [[WATT, USDC, '1000000'], [WATT, SOL, '1000000'], [SOL, USDC, '1000000000']]
+  );
+});
+
+test('getWattPriceUSD returns null without any route when a minimum price is set', async t => {
+  const server = await startFakeJupiter({ quote: quoteFrom({}) });
+  t.after(server.close);
+
+  assert.strictEqual(await getWattPriceUSD(server.jupiter, 0.01), null);
+});
+
+test('getWattPriceUSD returns 0 without any route when MIN_SELL_PRICE_USD is 0', async t => {
+  const server = await startFakeJupiter({ quote: quoteFrom({}) });
+  t.after(server.close);
+
+  assert.strictEqual(await getWattPriceUSD(server.jupiter, 0), 0);
+});
+
+test('getWattPriceUSD goes through an injected fetch', async () => {
+  const urls = [];
+  const fetchImpl = async url => {
+    urls.push(new URL(url));
+    return new Response(JSON.stringify({ outAmount: '61000' }), { status: 200 });
+  };
+  const jupiter = createJupiterClient({ baseUrl: 'http://jupiter.test/swap/v1', fetchImpl });
+
+  assert.strictEqual(await getWattPriceUSD(jupiter, 0), 0.061);
+  assert.strictEqual(urls[0].pathname, '/swap/v1/quote');
+  assert.strictEqual(urls[0].searchParams.get('inputMint'), WATT);
+});
+
+test('loadPriceHistory skips unreadable lines and invalid samples', t => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'wattbot-prices-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const file = path.join(dir, 'priceHistory.jsonl');
+  fs.writeFileSync(file, [
+    '{"timestamp":"2026-01-02T00:00:00.000Z","priceUsd":0.06}',
+    '{"timestamp":"2026-01-01T00:00:00.000Z","priceUsd":0.05}',
+    '{"timestamp":"2026-01-03T00:00:00.000Z","priceUsd":0',
+    '{"timestamp":"not a date","priceUsd":0.07}',
+    '{"timestamp":"2026-01-04T00:00:00.000Z","priceUsd":-1}',
+    '',
+  ].join('\n'));
+
+  assert.deepStrictEqual(loadPriceHistory(file).map(sample => sample.priceUsd), [0.05, 0.06]);
+});
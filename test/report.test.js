@@ -0,0 +1,30 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { computeCostBasis } = require('../scripts/lib/report');
+const { configureForTests } = require('./helpers');
+
+configureForTests();
+
+test('computeCostBasis takes proceeds from the swap value, split across lots by amount', () => {
+  const entries = [
+    { type: 'claim', wallet: 'W', timestamp: '2026-01-01T00:00:00Z', amount: '10', priceUsd: 0.1 },
+    { type: 'claim', wallet: 'W', timestamp: '2026-02-01T00:00:00Z', amount: '30', priceUsd: 0.2 },
+    // Sold at a 0.25 reference price, but slippage left $8 of output for 40 WATT
+    { type: 'swap', wallet: 'W', timestamp: '2026-03-01T00:00:00Z', signature: 's', inputAmount: '40', priceUsd: 0.25, valueUsd: 8 },
+  ];
+
+  const rows = computeCostBasis(entries);
+  assert.deepStrictEqual(rows.map(row => [row.amount, row.proceedsUsd, row.costBasisUsd]), [['10.000000', 2, 1], ['30.000000', 6, 6]]);
+  assert.strictEqual(rows[1].gainUsd, 0);
+});
+
+test('computeCostBasis leaves proceeds unknown for swaps recorded without a value', () => {
+  const entries = [
+    { type: 'claim', wallet: 'W', timestamp: '2026-01-01T00:00:00Z', amount: '10', priceUsd: 0.1 },
+    { type: 'swap', wallet: 'W', timestamp: '2026-03-01T00:00:00Z', signature: 's', inputAmount: '10', priceUsd: 0.25, valueUsd: null },
+  ];
+
+  const [row] = computeCostBasis(entries);
+  assert.strictEqual(row.proceedsUsd, null);
+  assert.strictEqual(row.gainUsd, null);
+});
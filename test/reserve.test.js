@@ -0,0 +1,65 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { Keypair } = require('@solana/web3.js');
+const { TOKEN_PROGRAM_ID } = require('@solana/spl-token');
+const { config, requiredFeeLamports, topUpSolReserve } = require('../scripts/lib');
+const {
+  configureForTests,
+  createFakeConnection,
+  mintAccount,
+  serializedTransaction,
+  quoteFrom,
+  startFakeJupiter,
+} = require('./helpers');
+
+configureForTests();
+
+const { WATT, SOL } = config.TOKEN_ADDRESSES;
+const wallet = Keypair.generate();
+const SETTINGS = { slippageBps: 100 };
+
+function fakeConnection() {
+  return createFakeConnection({
+    getAccountInfo: async pubkey => (pubkey.toBase58() === SOL ? mintAccount(9, TOKEN_PROGRAM_ID) : null),
+    getTokenAccountBalance: async () => ({ value: { amount: '0', decimals: 6 } }),
+    simulateTransaction: async () => ({ value: { err: null, logs: [], accounts: [null], unitsConsumed: 120_000 } }),
+  });
+}
+
+// WATT at $0.05 and SOL at $125, or no routes at all
+async function startJupiter(t, routes = { 'WATT-USDC': 0.05, 'WATT-SOL': 0.0004, 'SOL-USDC': 125 }) {
+  const server = await startFakeJupiter({
+    quote: quoteFrom(routes),
+    swap: () => ({ swapTransaction: serializedTransaction(wallet.publicKey), lastValidBlockHeight: 1_000 }),
+  });
+  t.after(server.close);
+  return server;
+}
+
+const swaps = server => server.requests.filter(({ endpoint }) => endpoint === 'swap').map(({ body }) => body.quoteResponse);
+
+test('topUpSolReserve swaps just enough WATT for the deficit, ignoring MIN_OUTPUT_USD', async t => {
+  const server = await startJupiter(t);
+  t.after(() => configureForTests());
+  configureForTests({ MIN_OUTPUT_USD: 50 });
+
+  // 0.01 SOL = 25 WATT, plus the 5% margin; the top-up is worth $1.31, far below the floor
+  const sold = await topUpSolReserve(fakeConnection(), server.jupiter, wallet, 100_000_000n, 10_000_000, SETTINGS);
+  assert.strictEqual(sold, 26_250_000n);
+  assert.deepStrictEqual(swaps(server).map(quote => [quote.inputMint, quote.outputMint, quote.inAmount]), [[WATT, SOL, '26250000']]);
+});
+
+test('topUpSolReserve skips the top-up when the WATT price is unavailable', async t => {
+  const server = await startJupiter(t, {});
+
+  assert.strictEqual(await topUpSolReserve(fakeConnection(), server.jupiter, wallet, 100_000_000n, 10_000_000, SETTINGS), 0n);
+  assert.deepStrictEqual(swaps(server), []);
+});
+
+test('requiredFeeLamports includes the rent of a missing WATT account', t => {
+  t.after(() => configureForTests());
+  configureForTests({ PRIORITY_FEE_LAMPORTS: 10_000, SOL_FEE_RESERVE: 0 });
+
+  assert.strictEqual(requiredFeeLamports(), 15_000);
+  assert.strictEqual(requiredFeeLamports(true), 15_000 + config.WATT_ACCOUNT_RENT_LAMPORTS);
+});
@@ -0,0 +1,298 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { Keypair, PublicKey, TransactionInstruction, TransactionMessage } = require('@solana/web3.js');
+const { TOKEN_PROGRAM_ID } = require('@solana/spl-token');
+const { config, autoSell, getSwapOutput, runTwapSell } = require('../scripts/lib');
+const {
+  configureForTests,
+  createFakeConnection,
+  mintAccount,
+  serializedTransaction,
+  quoteFrom,
+  startFakeJupiter,
+} = require('./helpers');
+
+// Guard settings every test starts from; a test that changes them restores these afterwards
+const GUARDS = { MAX_PRICE_DEVIATION_PCT: 5, MIN_OUTPUT_USD: 0, TWAP_CHUNKS: 1 };
+configureForTests(GUARDS);
+
+const { WATT, SOL, USDC } = config.TOKEN_ADDRESSES;
+const wallet = Keypair.generate();
+
+const SETTINGS = {
+  autoSellEnabled: true,
+  sellToken: 'USDC',
+  sellPercentage: 50,
+  minSellPriceUsd: 0,
+  targetSellPriceUsd: 0,
+  slippageBps: 100,
+  sellStrategy: 'fixed',
+};
+
+function fakeConnection(wattBalance = '0') {
+  const mints = { [USDC]: mintAccount(6, TOKEN_PROGRAM_ID), [SOL]: mintAccount(9, TOKEN_PROGRAM_ID) };
+  return createFakeConnection({
+    getAccountInfo: async pubkey => mints[pubkey.toBase58()] || null,
+    getTokenAccountBalance: async () => ({ value: { amount: wattBalance, decimals: 6 } }),
+    simulateTransaction: async () => ({ value: { err: null, logs: [], accounts: [null], unitsConsumed: 120_000 } }),
+  });
+}
+
+// A fake Jupiter quoting WATT at `priceUsd` (null: no route at all)
+async function startJupiter(t, priceUsd) {
+  const server = await startFakeJupiter({
+    quote: quoteFrom(priceUsd === null ? {} : { 'WATT-USDC': priceUsd, 'WATT-SOL': priceUsd / 150, 'SOL-USDC': 150 }),
+    swap: () => ({ swapTransaction: serializedTransaction(wallet.publicKey), lastValidBlockHeight: 1_000 }),
+  });
+  t.after(server.close);
+  return server;
+}
+
+// WATT amounts quoted for selling, leaving out the 1 WATT price checks
+function sellQuotes(server) {
+  return server.requests
+    .filter(({ endpoint, params }) => endpoint === 'quote' && params.inputMint === WATT && params.amount !== '1000000')
+    .map(({ params }) => [params.outputMint, params.amount]);
+}
+
+function swaps(server) {
+  return server.requests.filter(({ endpoint }) => endpoint === 'swap').map(({ body }) => body.quoteResponse.inAmount);
+}
+
+test('autoSell sells AUTO_SELL_PERCENTAGE of the claimed WATT, rounded down to a raw unit', async t => {
+  const server = await startJupiter(t, 0.05);
+
+  await autoSell(fakeConnection(), server.jupiter, wallet, 10_000_001n, SETTINGS);
+  assert.deepStrictEqual(sellQuotes(server), [[USDC, '5000000']]);
+  assert.deepStrictEqual(swaps(server), ['5000000']);
+});
+
+test('autoSell keeps two decimals of the percentage', async t => {
+  const server = await startJupiter(t, 0.05);
+
+  await autoSell(fakeConnection(), server.jupiter, wallet, 3_000_000n, { ...SETTINGS, sellPercentage: 33.33 });
+  assert.deepStrictEqual(sellQuotes(server), [[USDC, '999900']]);
+});
+
+test('autoSell splits the sell across output tokens without losing a raw unit', async t => {
+  const server = await startJupiter(t, 0.05);
+
+  await autoSell(fakeConnection(), server.jupiter, wallet, 1_000_001n, { ...SETTINGS, sellPercentage: 100, sellToken: 'USDC:60,SOL:40' });
+  assert.deepStrictEqual(sellQuotes(server), [[USDC, '600000'], [SOL, '400001']]);
+});
+
+test('autoSell keeps everything at 0%', async t => {
+  const server = await startJupiter(t, 0.05);
+
+  assert.strictEqual(await autoSell(fakeConnection(), server.jupiter, wallet, 10_000_000n, { ...SETTINGS, sellPercentage: 0 }), null);
+  assert.strictEqual(server.requests.length, 0);
+});
+
+test('autoSell skips an amount that rounds down to nothing', async t => {
+  const server = await startJupiter(t, 0.05);
+
+  assert.strictEqual(await autoSell(fakeConnection(), server.jupiter, wallet, 1n, SETTINGS), null);
+  assert.deepStrictEqual(sellQuotes(server), []);
+});
+
+test('autoSell does not sell below MIN_SELL_PRICE_USD', async t => {
+  const server = await startJupiter(t, 0.05);
+
+  assert.strictEqual(await autoSell(fakeConnection(), server.jupiter, wallet, 10_000_000n, { ...SETTINGS, minSellPriceUsd: 0.06 }), null);
+  assert.deepStrictEqual(sellQuotes(server), []);
+});
+
+test('autoSell sells at or above MIN_SELL_PRICE_USD', async t => {
+  const server = await startJupiter(t, 0.05);
+
+  await autoSell(fakeConnection(), server.jupiter, wallet, 10_000_000n, { ...SETTINGS, minSellPriceUsd: 0.05 });
+  assert.deepStrictEqual(sellQuotes(server), [[USDC, '5000000']]);
+});
+
+test('autoSell queues a limit order below TARGET_SELL_PRICE_USD', async t => {
+  const server = await startJupiter(t, 0.05);
+
+  const result = await autoSell(fakeConnection(), server.jupiter, wallet, 10_000_000n, { ...SETTINGS, targetSellPriceUsd: 0.08 });
+  assert.strictEqual(result.type, 'queued');
+  assert.strictEqual(result.inputAmount, 5_000_000n);
+  assert.strictEqual(result.keptAmount, 5_000_000n);
+  assert.deepStrictEqual(swaps(server), []);
+});
+
+test('autoSell aborts when the price is unavailable and a minimum price is set', async t => {
+  const server = await startJupiter(t, null);
+
+  await assert.rejects(
+    autoSell(fakeConnection(), server.jupiter, wallet, 10_000_000n, { ...SETTINGS, minSellPriceUsd: 0.01 }),
+    /Could not fetch WATT price/
+  );
+  assert.deepStrictEqual(sellQuotes(server), []);
+});
+
+// A fake Jupiter that quotes the sell but has no route for the 1 WATT reference price
+async function startJupiterWithoutReference(t, priceUsd) {
+  const quote = quoteFrom({ 'WATT-USDC': priceUsd });
+  const server = await startFakeJupiter({
+    quote: params => (params.amount === '1000000' ? quoteFrom({})(params) : quote(params)),
+    swap: () => ({ swapTransaction: serializedTransaction(wallet.publicKey), lastValidBlockHeight: 1_000 }),
+  });
+  t.after(server.close);
+  return server;
+}
+
+test('autoSell rejects the sell when there is no reference price', async t => {
+  const server = await startJupiterWithoutReference(t, 0.05);
+
+  const result = await autoSell(fakeConnection(), server.jupiter, wallet, 10_000_000n, SETTINGS);
+  assert.strictEqual(result.type, 'rejected');
+  assert.match(result.reason, /no reference price/);
+  assert.deepStrictEqual(swaps(server), []);
+});
+
+test('autoSell sells without a reference price when MIN_OUTPUT_USD is met', async t => {
+  const server = await startJupiterWithoutReference(t, 0.05);
+  configureForTests({ ...GUARDS, MIN_OUTPUT_USD: 0.2 });
+  t.after(() => configureForTests(GUARDS));
+
+  await autoSell(fakeConnection(), server.jupiter, wallet, 10_000_000n, SETTINGS);
+  assert.deepStrictEqual(swaps(server), ['5000000']);
+});
+
+// ============================================================================
+// SWAP OUTPUT
+// ============================================================================
+
+// A confirmed swap whose account keys are [wallet, output account]
+function swapTransaction(meta) {
+  const message = new TransactionMessage({
+    payerKey: wallet.publicKey,
+    recentBlockhash: PublicKey.default.toBase58(),
+    instructions: [new TransactionInstruction({
+      programId: TOKEN_PROGRAM_ID,
+      keys: [{ pubkey: Keypair.generate().publicKey, isSigner: false, isWritable: true }],
+      data: Buffer.alloc(0),
+    })],
+  }).compileToV0Message();
+  return { transaction: { message }, meta: { fee: 5_000, loadedAddresses: { writable: [], readonly: [] }, ...meta } };
+}
+
+const tokenBalance = (amount, mint = USDC, owner = wallet.publicKey.toBase58()) => ({ accountIndex: 1, mint, owner, uiTokenAmount: { amount } });
+const usdcLeg = { token: { symbol: 'USDC', mint: USDC, decimals: 6 }, outputAmount: 500_000n };
+const solLeg = { token: { symbol: 'SOL', mint: SOL, decimals: 9 }, outputAmount: 3_000_000n };
+
+function connectionReturning(tx) {
+  return createFakeConnection({ getTransaction: async () => tx });
+}
+
+test('getSwapOutput reads the change of the output token balance', async () => {
+  const tx = swapTransaction({ preTokenBalances: [tokenBalance('1000000')], postTokenBalances: [tokenBalance('1493210')], preBalances: [0, 0], postBalances: [0, 0] });
+
+  assert.deepStrictEqual(await getSwapOutput(connectionReturning(tx), 'sig', wallet.publicKey, usdcLeg), { outputAmount: 493_210n, feeLamports: 5_000 });
+});
+
+test('getSwapOutput counts a token account the swap created from zero', async () => {
+  const tx = swapTransaction({ preTokenBalances: [], postTokenBalances: [tokenBalance('493210')], preBalances: [10_000_000, 0], postBalances: [7_955_720, 2_039_280] });
+
+  assert.strictEqual((await getSwapOutput(connectionReturning(tx), 'sig', wallet.publicKey, usdcLeg)).outputAmount, 493_210n);
+});
+
+test('getSwapOutput reads SOL from the lamport change plus the fee and opened account rent', async () => {
+  // The wallet got 2.95M lamports, paid the 5000 fee and the rent of its new WATT account
+  const tx = swapTransaction({
+    preTokenBalances: [],
+    postTokenBalances: [tokenBalance('1000', WATT)],
+    preBalances: [10_000_000, 0],
+    postBalances: [10_000_000 + 2_950_000 - 5_000 - 2_039_280, 2_039_280],
+  });
+
+  assert.strictEqual((await getSwapOutput(connectionReturning(tx), 'sig', wallet.publicKey, solLeg)).outputAmount, 2_950_000n);
+});
+
+test('getSwapOutput falls back to the quoted output when the transaction cannot be read', async () => {
+  assert.deepStrictEqual(await getSwapOutput(connectionReturning(null), 'sig', wallet.publicKey, usdcLeg), { outputAmount: 500_000n, feeLamports: null });
+});
+
+// ============================================================================
+// TWAP
+// ============================================================================
+
+function twapPlan(overrides = {}) {
+  return {
+    id: 'test-plan',
+    wallet: wallet.publicKey.toBase58(),
+    outputToken: 'USDC',
+    totalAmount: 10_000_000n,
+    chunks: 4,
+    completedChunks: 1,
+    soldAmount: 2_500_000n,
+    fills: {},
+    signatures: [],
+    createdAt: new Date().toISOString(),
+    nextChunkAt: new Date().toISOString(),
+    ...overrides,
+  };
+}
+
+test('runTwapSell keeps the plan when the price is unavailable', async t => {
+  const server = await startJupiter(t, null);
+
+  const plan = await runTwapSell(fakeConnection(), server.jupiter, wallet, SETTINGS, twapPlan());
+  assert.strictEqual(plan.finished, false);
+  assert.strictEqual(plan.completedChunks, 1);
+});
+
+test('runTwapSell keeps the plan when a chunk is rejected', async t => {
+  const server = await startJupiter(t, 0.05);
+  t.after(() => configureForTests(GUARDS));
+  configureForTests({ ...GUARDS, MIN_OUTPUT_USD: 100 });
+  const plan = await runTwapSell(fakeConnection('10000000'), server.jupiter, wallet, SETTINGS, twapPlan());
+  assert.strictEqual(plan.finished, false);
+  assert.deepStrictEqual(swaps(server), []);
+});
+
+test('runTwapSell ends the plan when the wallet has no WATT left', async t => {
+  const server = await startJupiter(t, 0.05);
+
+  const plan = await runTwapSell(fakeConnection(), server.jupiter, wallet, SETTINGS, twapPlan());
+  assert.strictEqual(plan.finished, true);
+});
+
+test('runTwapSell leaves a chunk that is not due to the next one-shot run', async t => {
+  const server = await startJupiter(t, 0.05);
+  t.after(() => configureForTests(GUARDS));
+  configureForTests({ ...GUARDS, DRY_RUN: false });
+
+  const plan = await runTwapSell(fakeConnection(), server.jupiter, wallet, SETTINGS, twapPlan({ nextChunkAt: new Date(Date.now() + 3_600_000).toISOString() }));
+  assert.strictEqual(plan.finished, false);
+  assert.strictEqual(server.requests.length, 0);
+});
+
+test('MIN_OUTPUT_USD applies to the whole split sell, each leg carrying its share', async t => {
+  const server = await startJupiter(t, 0.05);
+  t.after(() => configureForTests(GUARDS));
+  // 10 WATT at $0.05 is $0.50: above a $0.45 floor overall, though the SOL leg alone is only $0.20
+  configureForTests({ ...GUARDS, MIN_OUTPUT_USD: 0.45 });
+
+  await autoSell(fakeConnection(), server.jupiter, wallet, 10_000_000n, { ...SETTINGS, sellPercentage: 100, sellToken: 'USDC:60,SOL:40' });
+  assert.deepStrictEqual(swaps(server), ['6000000', '4000000']);
+});
+
+test('MIN_OUTPUT_USD still rejects a split sell below the floor', async t => {
+  const server = await startJupiter(t, 0.05);
+  t.after(() => configureForTests(GUARDS));
+  configureForTests({ ...GUARDS, MIN_OUTPUT_USD: 0.55 });
+
+  const result = await autoSell(fakeConnection(), server.jupiter, wallet, 10_000_000n, { ...SETTINGS, sellPercentage: 100, sellToken: 'USDC:60,SOL:40' });
+  assert.strictEqual(result.type, 'rejected');
+  assert.deepStrictEqual(swaps(server), []);
+});
+
+test('MIN_OUTPUT_USD applies to a TWAP plan as a whole, each chunk carrying its share', async t => {
+  const server = await startJupiter(t, 0.05);
+  t.after(() => configureForTests(GUARDS));
+  // The plan sells 10 WATT ($0.50) in 4 chunks of $0.125 each
+  configureForTests({ ...GUARDS, MIN_OUTPUT_USD: 0.45 });
+
+  await runTwapSell(fakeConnection('10000000'), server.jupiter, wallet, SETTINGS, twapPlan({ completedChunks: 0, soldAmount: 0n }));
+  assert.deepStrictEqual(swaps(server), ['2500000']);
+});
@@ -0,0 +1,30 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { Keypair } = require('@solana/web3.js');
+const { TOKEN_PROGRAM_ID } = require('@solana/spl-token');
+const { config, findSweepTransfers } = require('../scripts/lib');
+const { configureForTests, createFakeConnection, mintAccount } = require('./helpers');
+
+configureForTests({ SWEEP_HOT_WALLET_LIMITS: 'WATT:100,SOL:0.5' });
+
+const owner = Keypair.generate().publicKey;
+
+// 250 WATT and 2 SOL in the hot wallet
+function fakeConnection() {
+  return createFakeConnection({
+    getAccountInfo: async pubkey => mintAccount(pubkey.equals(config.WATT_MINT) ? 6 : 9, TOKEN_PROGRAM_ID),
+    getTokenAccountBalance: async () => ({ value: { amount: '250000000', decimals: 6 } }),
+    getBalance: async () => 2_000_000_000,
+  });
+}
+
+const amounts = transfers => transfers.map(({ token, raw }) => [token.symbol, raw]);
+
+test('findSweepTransfers sweeps everything above the hot-wallet limits', async () => {
+  assert.deepStrictEqual(amounts(await findSweepTransfers(fakeConnection(), owner)), [['WATT', 150_000_000n], ['SOL', 1_500_000_000n]]);
+});
+
+test('findSweepTransfers keeps WATT reserved for queued orders and TWAP plans', async () => {
+  assert.deepStrictEqual(amounts(await findSweepTransfers(fakeConnection(), owner, 120_000_000n)), [['WATT', 30_000_000n], ['SOL', 1_500_000_000n]]);
+  assert.deepStrictEqual(amounts(await findSweepTransfers(fakeConnection(), owner, 200_000_000n)), [['SOL', 1_500_000_000n]]);
+});
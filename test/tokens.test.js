@@ -0,0 +1,35 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { Keypair } = require('@solana/web3.js');
+const { getWattBalance } = require('../scripts/lib');
+const { configureForTests, createFakeConnection } = require('./helpers');
+
+configureForTests();
+
+const wallet = Keypair.generate().publicKey;
+
+test('getWattBalance returns the raw balance of the WATT account', async () => {
+  const connection = createFakeConnection({ getTokenAccountBalance: async () => ({ value: { amount: '12345678', decimals: 6 } }) });
+
+  assert.strictEqual(await getWattBalance(connection, wallet), 12_345_678n);
+});
+
+test('getWattBalance returns 0 when the wallet has no WATT account', async () => {
+  const connection = createFakeConnection({
+    getTokenAccountBalance: async () => {
+      throw new Error('failed to get token account balance: Invalid param: could not find account');
+    },
+  });
+
+  assert.strictEqual(await getWattBalance(connection, wallet), 0n);
+});
+
+test('getWattBalance throws on other RPC errors instead of reporting an empty wallet', async () => {
+  const connection = createFakeConnection({
+    getTokenAccountBalance: async () => {
+      throw new Error('503 Service Unavailable');
+    },
+  });
+
+  await assert.rejects(getWattBalance(connection, wallet), /Could not read WATT balance.*503/);
+});
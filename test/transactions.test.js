@@ -0,0 +1,93 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const bs58 = require('bs58').default || require('bs58');
+const { Keypair, SystemProgram, TransactionMessage, VersionedTransaction } = require('@solana/web3.js');
+const { sendAndConfirmTransaction } = require('../scripts/lib/transactions');
+const { configureForTests, createFakeConnection } = require('./helpers');
+
+configureForTests({ TX_MAX_TRANSIENT_RETRIES: 1, TX_REBROADCAST_INTERVAL_MS: 1 });
+
+const payer = Keypair.generate();
+const wallet = { publicKey: payer.publicKey, signTransaction: async transaction => transaction.sign([payer]) };
+
+// A fresh transfer with a new blockhash per build; built keeps every transaction so tests know its signature
+function transferBuilder() {
+  const built = [];
+  const build = async () => {
+    const message = new TransactionMessage({
+      payerKey: payer.publicKey,
+      recentBlockhash: Keypair.generate().publicKey.toBase58(),
+      instructions: [SystemProgram.transfer({ fromPubkey: payer.publicKey, toPubkey: payer.publicKey, lamports: 1 })],
+    }).compileToV0Message();
+    const transaction = new VersionedTransaction(message);
+    built.push(transaction);
+    return { transaction, lastValidBlockHeight: 100 };
+  };
+  return { built, build, signatureOf: index => bs58.encode(built[index].signatures[0]) };
+}
+
+// Signature statuses that report the given signatures as confirmed
+function statusesFor(landed) {
+  return async signatures => ({
+    value: signatures.map(signature => (landed.has(signature) ? { confirmationStatus: 'confirmed', err: null } : null)),
+  });
+}
+
+test('a transaction that landed is returned even when the send call fails', async () => {
+  const { build, signatureOf } = transferBuilder();
+  const landed = new Set();
+  const connection = createFakeConnection({
+    sendRawTransaction: async () => {
+      landed.add(signatureOf(0));
+      throw new Error('Unexpected response from RPC node');
+    },
+    getSignatureStatuses: statusesFor(landed),
+  });
+
+  assert.strictEqual(await sendAndConfirmTransaction(connection, wallet, build, 'Test'), signatureOf(0));
+});
+
+test('a transaction that landed is returned even when confirmation fails', async () => {
+  const { build, signatureOf } = transferBuilder();
+  const landed = new Set();
+  const connection = createFakeConnection({
+    sendRawTransaction: async () => signatureOf(0),
+    getSignatureStatuses: statusesFor(landed),
+    getBlockHeight: async () => {
+      landed.add(signatureOf(0));
+      throw new Error('Invalid block height response');
+    },
+  });
+
+  assert.strictEqual(await sendAndConfirmTransaction(connection, wallet, build, 'Test'), signatureOf(0));
+});
+
+test('a failure is rethrown when nothing landed', async () => {
+  const { build } = transferBuilder();
+  const connection = createFakeConnection({
+    sendRawTransaction: async () => {
+      throw new Error('Transaction simulation failed: custom program error: 0x1');
+    },
+    getSignatureStatuses: statusesFor(new Set()),
+  });
+
+  await assert.rejects(sendAndConfirmTransaction(connection, wallet, build, 'Test'), /custom program error: 0x1/);
+});
+
+test('Blockhash not found rebuilds the transaction', async () => {
+  const { built, build, signatureOf } = transferBuilder();
+  const landed = new Set();
+  const connection = createFakeConnection({
+    sendRawTransaction: async () => {
+      if (built.length === 1) {
+        throw new Error('Transaction simulation failed: Blockhash not found');
+      }
+      landed.add(signatureOf(1));
+      return signatureOf(1);
+    },
+    getSignatureStatuses: statusesFor(landed),
+  });
+
+  assert.strictEqual(await sendAndConfirmTransaction(connection, wallet, build, 'Test'), signatureOf(1));
+  assert.strictEqual(built.length, 2);
+});
@@ -0,0 +1,18 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const os = require('os');
+const path = require('path');
+const { resolveUserPath } = require('../scripts/lib');
+const { configureForTests } = require('./helpers');
+
+configureForTests();
+
+test('resolveUserPath expands a leading ~ to the home directory', () => {
+  assert.strictEqual(resolveUserPath('~/.config/solana/id.json'), path.join(os.homedir(), '.config/solana/id.json'));
+  assert.strictEqual(resolveUserPath('~'), os.homedir());
+});
+
+test('resolveUserPath resolves other paths against the working directory', () => {
+  assert.strictEqual(resolveUserPath('keys/~id.json'), path.resolve('keys/~id.json'));
+  assert.strictEqual(resolveUserPath('~other/id.json'), path.resolve('~other/id.json'));
+});